@@ -1,15 +1,90 @@
 import express from "express";
+import { randomUUID } from "crypto";
 import http from "http";
 import { Server } from "socket.io";
 import cors from "cors";
 import dotenv from "dotenv";
-import { authenticateSocket } from "./services/authService.js";
+import {
+  authenticateSocket,
+  validateToken,
+  getTokenExpiry,
+} from "./services/authService.js";
+import { verifyInternalRequest } from "./middleware/internalAuth.js";
 import {
   getChannelMessages,
+  getThreadMessages,
   addReaction,
   removeReaction,
   createMessage,
+  getMessage,
+  updateMessage,
+  deleteMessage,
+  createConversation,
+  getConversation,
+  getConversationMessages,
+  createDirectMessage,
 } from "./services/messageService.js";
+import {
+  isChannelMember,
+  getChannelMembership,
+  invalidateMembership as invalidateLocalMembership,
+  getChannelMembers,
+  getChannelMemberList,
+  getChannel,
+  markChannelRead,
+  getUnreadSummary,
+} from "./services/channelService.js";
+import {
+  isTeamMember,
+  getTeamMembership,
+  invalidateTeamMembership as invalidateLocalTeamMembership,
+  getTeamMembers,
+} from "./services/teamService.js";
+import {
+  addConnection as addLocalConnection,
+  removeConnection as removeLocalConnection,
+  setStatus as setLocalStatus,
+  recordActivity as recordLocalActivity,
+  markIdleUsers,
+  getPresence,
+  queryPresence,
+  joinChannel as joinLocalChannel,
+  leaveChannel as leaveLocalChannel,
+  getChannelUsers,
+  getUserChannels,
+  removeServerConnections,
+  getStats as getPresenceStats,
+  getPresenceSnapshot,
+  restorePresenceSnapshot,
+} from "./services/presenceService.js";
+import {
+  seedUnread as seedLocalUnread,
+  incrementUnread as incrementLocalUnread,
+  resetUnread as resetLocalUnread,
+  getUnread,
+  clearUnread as clearLocalUnread,
+  getUnreadSnapshot,
+  restoreUnreadSnapshot,
+} from "./services/unreadService.js";
+import { createMessageCache } from "./services/messageCache.js";
+import { createEventLog } from "./services/eventLog.js";
+import { createIdempotencyStore } from "./services/idempotencyStore.js";
+import { createRateLimiter } from "./services/rateLimiter.js";
+import { createCallRegistry } from "./services/callRegistry.js";
+import { createOutbox } from "./services/outbox.js";
+import { getBackendStatus } from "./services/backendClient.js";
+import { createCluster } from "./cluster/index.js";
+import { SocketError, toSocketError } from "./utils/errors.js";
+import { handleEvent } from "./utils/socketHandler.js";
+import { logger, runWithLogContext } from "./utils/logger.js";
+import { createCounter, createGauge, renderMetrics } from "./utils/metrics.js";
+import {
+  EVENT_PERMISSIONS,
+  resolveRole,
+  can,
+  describePermissions,
+} from "./utils/permissions.js";
+import { parseMentions, resolveMentions } from "./utils/mentions.js";
 
 dotenv.config();
 
@@ -23,51 +98,933 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+
+// HTTP requests keep the caller's correlation ID, or get a new one
+app.use((req, res, next) => {
+  const header = req.get("X-Correlation-ID");
+  const correlationId = header && header.length <= 128 ? header : randomUUID();
+
+  res.set("X-Correlation-ID", correlationId);
+  runWithLogContext({ correlationId }, next);
+});
+app.use(
+  express.json({
+    // keep the raw body for internal API signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    },
+  })
+);
+
+// cluster layer, shares broadcasts and state between service instances
+const cluster = createCluster();
 
 // create Socket.IO server
 const io = new Server(server, {
   cors: corsOptions,
   path: "/ws",
+  adapter: cluster.adapter,
+  // largest accepted packet, payloads are also checked by EVENT_SCHEMAS
+  maxHttpBufferSize:
+    parseInt(process.env.SOCKET_MAX_PAYLOAD_BYTES, 10) || 100 * 1024,
 });
 
-// cache for active channels with connected users
-const activeChannels = new Map();
-// cache for channel messages to reduce API calls
-const channelMessagesCache = new Map();
+// presence, unread and membership changes are applied on every instance
+const addConnection = cluster.replicate(
+  "presence:add-connection",
+  addLocalConnection
+);
+const removeConnection = cluster.replicate(
+  "presence:remove-connection",
+  removeLocalConnection
+);
+const setStatus = cluster.replicate("presence:set-status", setLocalStatus);
+const recordActivity = cluster.replicate(
+  "presence:activity",
+  recordLocalActivity,
+  { throttleMs: 30 * 1000 }
+);
+const joinChannel = cluster.replicate("presence:join", joinLocalChannel);
+const leaveChannel = cluster.replicate("presence:leave", leaveLocalChannel);
+const seedUnread = cluster.replicate("unread:seed", seedLocalUnread);
+const incrementUnread = cluster.replicate(
+  "unread:increment",
+  incrementLocalUnread
+);
+const resetUnread = cluster.replicate("unread:reset", resetLocalUnread);
+const clearUnread = cluster.replicate("unread:clear", clearLocalUnread);
+const invalidateMembership = cluster.replicate(
+  "membership:invalidate",
+  invalidateLocalMembership
+);
+const invalidateTeamMembership = cluster.replicate(
+  "team-membership:invalidate",
+  invalidateLocalTeamMembership
+);
+cluster.shareState("presence", {
+  snapshot: getPresenceSnapshot,
+  restore: restorePresenceSnapshot,
+});
+cluster.shareState("unread", {
+  snapshot: getUnreadSnapshot,
+  restore: restoreUnreadSnapshot,
+});
+
+// cache limits, shared by the channel and thread caches
+const MESSAGE_CACHE_TTL_MS =
+  parseInt(process.env.MESSAGE_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const MESSAGE_CACHE_MAX_ENTRIES =
+  parseInt(process.env.MESSAGE_CACHE_MAX_ENTRIES, 10) || 500;
+const MESSAGE_CACHE_MAX_MESSAGES =
+  parseInt(process.env.MESSAGE_CACHE_MAX_MESSAGES, 10) || 50000;
+
+// history paging: default and maximum page size, and cached window per channel
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const CACHE_WINDOW_SIZE = parseInt(process.env.CHANNEL_CACHE_WINDOW, 10) || 200;
+
+// cache for channel messages to reduce API calls, holds the latest window
+const channelCache = createMessageCache({
+  ttlMs: MESSAGE_CACHE_TTL_MS,
+  maxEntries: MESSAGE_CACHE_MAX_ENTRIES,
+  maxMessages: MESSAGE_CACHE_MAX_MESSAGES,
+  windowSize: CACHE_WINDOW_SIZE,
+});
+// cache for thread replies, keyed by parent message ID
+const threadCache = createMessageCache({
+  ttlMs: MESSAGE_CACHE_TTL_MS,
+  maxEntries: MESSAGE_CACHE_MAX_ENTRIES,
+  maxMessages: MESSAGE_CACHE_MAX_MESSAGES,
+});
+// participants of known direct conversations, keyed by conversation ID and
+// oldest first; refetched like channel memberships, so people removed from
+// a group DM lose access
+const DM_PARTICIPANTS_TTL_MS =
+  parseInt(process.env.MEMBERSHIP_CACHE_TTL_MS, 10) || 30 * 1000;
+const DM_PARTICIPANTS_MAX_ENTRIES = 10000;
+const dmParticipants = new Map();
+
+// recent channel broadcasts, replayed to clients resuming after a disconnect
+const channelEvents = createEventLog({
+  maxEvents: parseInt(process.env.EVENT_LOG_SIZE, 10) || 500,
+  maxChannels: MESSAGE_CACHE_MAX_ENTRIES,
+});
+const recordChannelEvent = cluster.replicate(
+  "events:record",
+  channelEvents.record
+);
+
+// broadcast to a channel under the next sequence number, logging the event
+const broadcastToChannel = (channelId, event, payload) => {
+  const seq = channelEvents.nextSeq(channelId);
+  recordChannelEvent(channelId, seq, event, payload);
+  io.to(`channel:${channelId}`).emit(event, { ...payload, seq });
+};
+
+const MESSAGE_DEDUP_WINDOW_MS =
+  parseInt(process.env.MESSAGE_DEDUP_WINDOW_MS, 10) || 5 * 60 * 1000;
+
+// messages saved recently, keyed by sender and clientMessageId, so client
+// retries return the original message instead of saving it again
+const sentMessages = createIdempotencyStore({
+  ttlMs: MESSAGE_DEDUP_WINDOW_MS,
+  maxEntries: 10000,
+});
+
+// IDs of messages broadcast recently: a message saved through a socket is
+// also announced by the backend's message-created event, in either order,
+// and must reach clients once
+const broadcastMessages = createIdempotencyStore({
+  ttlMs: MESSAGE_DEDUP_WINDOW_MS,
+  maxEntries: 10000,
+});
+const recordBroadcast = cluster.replicate("messages:broadcast", (messageId) =>
+  broadcastMessages.remember(messageId, true)
+);
+
+// true the first time a message is about to be broadcast, false after
+const claimBroadcast = (messageId) => {
+  if (broadcastMessages.has(messageId)) {
+    return false;
+  }
+  recordBroadcast(messageId);
+  return true;
+};
+
+// retries may reach another instance, so share every saved message
+cluster.subscribe("messages:sent", ({ key, message }) =>
+  sentMessages.remember(key, message)
+);
+
+// token buckets per user and event: capacity is the allowed burst, perSecond
+// the sustained rate; RATE_LIMITS (JSON) overrides single events
+const RATE_LIMITS = {
+  default: { capacity: 30, perSecond: 10 },
+  "new-message": { capacity: 10, perSecond: 2 },
+  "dm-message": { capacity: 10, perSecond: 2 },
+  "edit-message": { capacity: 10, perSecond: 1 },
+  "delete-message": { capacity: 10, perSecond: 1 },
+  "add-reaction": { capacity: 10, perSecond: 2 },
+  "remove-reaction": { capacity: 10, perSecond: 2 },
+  "file-upload-complete": { capacity: 5, perSecond: 1 },
+  "start-dm": { capacity: 5, perSecond: 0.2 },
+  // clients send it per keystroke, so hitting the limit is no flood
+  typing: { capacity: 5, perSecond: 1, strikes: false },
+  "call-start": { capacity: 3, perSecond: 0.2 },
+  // a new peer connection gathers a burst of candidates
+  "call-ice-candidate": { capacity: 50, perSecond: 10 },
+  ...JSON.parse(process.env.RATE_LIMITS || "{}"),
+};
+
+// flood protection, limits apply per instance
+const rateLimiter = createRateLimiter({
+  limits: RATE_LIMITS,
+  maxStrikes: parseInt(process.env.RATE_LIMIT_MAX_STRIKES, 10) || 20,
+  strikeWindowMs:
+    parseInt(process.env.RATE_LIMIT_STRIKE_WINDOW_MS, 10) || 10 * 1000,
+  blockMs: parseInt(process.env.RATE_LIMIT_BLOCK_MS, 10) || 60 * 1000,
+});
+// periodically drop idle buckets and expired blocks
+setInterval(() => rateLimiter.sweep(), 60 * 1000);
+
+// calls ring this long before an invite counts as missed
+const CALL_RING_TIMEOUT_MS =
+  parseInt(process.env.CALL_RING_TIMEOUT_MS, 10) || 30 * 1000;
+
+// live audio/video calls, shared by every instance
+const calls = createCallRegistry({ ringTimeoutMs: CALL_RING_TIMEOUT_MS });
+const startCall = cluster.replicate("calls:start", calls.start);
+const inviteToCall = cluster.replicate("calls:invite", calls.invite);
+const acceptCall = cluster.replicate("calls:accept", calls.accept);
+const declineCall = cluster.replicate("calls:decline", calls.decline);
+const leaveCall = cluster.replicate("calls:leave", calls.leave);
+const leaveCallsOfSocket = cluster.replicate(
+  "calls:leave-socket",
+  calls.leaveSocket
+);
+cluster.shareState("calls", {
+  snapshot: calls.snapshot,
+  restore: calls.restore,
+});
+
+// other instances drop their copy when this one changes a cached channel
+const shareCacheChange = (channelId) =>
+  cluster.publish("cache:invalidate", { channelId });
+const shareThreadChange = (parentMessageId) =>
+  cluster.publish("cache:invalidate", { parentMessageId });
+
+// upper bound for group DMs, bigger groups should use a channel
+const MAX_DM_PARTICIPANTS = 8;
+
+// apply a patch to a single cached message, if the channel is cached
+const patchCachedMessage = (channelId, messageId, patch) => {
+  channelCache.update(channelId, (messages) =>
+    messages.map((msg) => (msg.id === messageId ? { ...msg, ...patch } : msg))
+  );
+  shareCacheChange(channelId);
+};
+
+// look up a message of a channel in the cache first, falling back to the
+// API; null if it doesn't exist or belongs to another channel, since
+// permissions are checked against the channel the client names
+const findMessage = async (channelId, messageId, token) => {
+  const cached = channelCache.get(channelId);
+  const message =
+    (cached && cached.messages.find((msg) => msg.id === messageId)) ||
+    (await getMessage(messageId, token));
+
+  return message && message.channelId === channelId ? message : null;
+};
+
+// fail unless the parent of a thread is a message of the channel, so the
+// channel's permissions also cover the thread
+const requireThreadParent = async (channelId, parentMessageId, token) => {
+  const parent = await findMessage(channelId, parentMessageId, token);
+
+  if (!parent) {
+    throw new SocketError("NOT_FOUND", "Thread not found in this channel");
+  }
+
+  return parent;
+};
+
+// get thread replies from cache, fetching them from the API if needed
+const loadThreadMessages = async (parentMessageId, token) => {
+  const cached = threadCache.get(parentMessageId);
+  if (cached) {
+    return cached.messages;
+  }
+
+  const messages = await getThreadMessages(parentMessageId, token);
+  threadCache.set(parentMessageId, messages);
+
+  return messages;
+};
+
+const cacheDmParticipants = (conversationId, participantIds) => {
+  dmParticipants.delete(conversationId);
+  dmParticipants.set(conversationId, {
+    participantIds,
+    expiresAt: Date.now() + DM_PARTICIPANTS_TTL_MS,
+  });
+  if (dmParticipants.size > DM_PARTICIPANTS_MAX_ENTRIES) {
+    dmParticipants.delete(dmParticipants.keys().next().value);
+  }
+};
+
+// participants of a direct conversation if fetched recently, else null
+const getCachedDmParticipants = (conversationId) => {
+  const cached = dmParticipants.get(conversationId);
+  if (!cached) {
+    return null;
+  }
+  if (cached.expiresAt <= Date.now()) {
+    dmParticipants.delete(conversationId);
+    return null;
+  }
+
+  return cached.participantIds;
+};
+
+// get the participants of a direct conversation, fetching them if needed
+const loadDmParticipants = async (conversationId, token) => {
+  const cached = getCachedDmParticipants(conversationId);
+  if (cached) {
+    return cached;
+  }
+
+  const conversation = await getConversation(conversationId, token);
+  const participantIds = conversation.participantIds || [];
+  cacheDmParticipants(conversationId, participantIds);
+
+  return participantIds;
+};
+
+// role of a user in a channel, null if they are not a member
+const getChannelRole = async (user, channelId, token) => {
+  const membership = await getChannelMembership(channelId, user.id, token);
+
+  return membership ? resolveRole(user.roles, membership.role) : null;
+};
+
+// send a user's presence to every channel they are active in
+const broadcastPresence = (userId, channelIds = getUserChannels(userId)) => {
+  io.to([
+    `user:${userId}`,
+    ...channelIds.map((channelId) => `channel:${channelId}`),
+  ]).emit("presence-update", {
+    ...getPresence(userId),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// periodically mark idle users as away
+setInterval(() => {
+  markIdleUsers().forEach((userId) => broadcastPresence(userId));
+}, 30 * 1000);
+
+// bump unread counters of members who are connected but not in the channel
+const notifyUnread = async (
+  channelId,
+  senderId,
+  token,
+  mentionedIds = new Set()
+) => {
+  try {
+    const memberIds = await getChannelMembers(channelId, token);
+    const inChannel = new Set(getChannelUsers(channelId));
+
+    memberIds
+      .filter(
+        (userId) =>
+          userId !== senderId &&
+          !inChannel.has(userId) &&
+          getPresence(userId).status !== "offline"
+      )
+      .forEach((userId) => {
+        io.to(`user:${userId}`).emit("unread-update", {
+          channelId,
+          ...incrementUnread(userId, channelId, mentionedIds.has(userId)),
+        });
+      });
+  } catch (error) {
+    logger.error("Error updating unread counts", { channelId, error });
+  }
+};
+
+// resolve the @mentions of a message against the channel's members,
+// never notifying the sender about their own message; if the members can't
+// be fetched the message goes out without mentions
+const findMentions = async (channelId, content, senderId, token) => {
+  const handles = parseMentions(content);
+  if (handles.size === 0) {
+    return { mentions: [], recipients: new Map() };
+  }
+
+  let members;
+  try {
+    members = await getChannelMemberList(channelId, token);
+  } catch (error) {
+    logger.error("Error resolving mentions, saving without them", {
+      channelId,
+      error,
+    });
+    return { mentions: [], recipients: new Map() };
+  }
+
+  const { mentions, recipients } = resolveMentions(
+    handles,
+    members,
+    (userId) => getPresence(userId).status !== "offline"
+  );
+  recipients.delete(senderId);
+
+  return { mentions, recipients };
+};
+
+// tell every mentioned user about a message, wherever they are connected
+const notifyMentions = (channelId, message, recipients, sender) => {
+  recipients.forEach((type, userId) => {
+    io.to(`user:${userId}`).emit("mention", {
+      type,
+      channelId,
+      messageId: message.id,
+      parentMessageId: message.parentMessageId,
+      mentionedBy: { id: sender.id, name: sender.name },
+      message,
+      timestamp: new Date().toISOString(),
+    });
+  });
+};
+
+// check the thread of a new channel message or thread reply, resolve its
+// mentions and save it; nothing is saved if this throws. Every attempt to
+// save the same message sends the same idempotencyKey
+const saveMessage = async (sender, token, newMessage, idempotencyKey) => {
+  if (newMessage.parentMessageId) {
+    await requireThreadParent(
+      newMessage.channelId,
+      newMessage.parentMessageId,
+      token
+    );
+  }
+
+  // mentions are resolved before saving so they are stored with the message
+  const { mentions, recipients } = await findMentions(
+    newMessage.channelId,
+    newMessage.content,
+    sender.id,
+    token
+  );
+
+  const message = await createMessage(
+    mentions.length > 0 ? { ...newMessage, mentions } : newMessage,
+    token,
+    { idempotencyKey }
+  );
+  if (mentions.length > 0 && !message.mentions) {
+    message.mentions = mentions;
+  }
+
+  return { message, recipients };
+};
+
+// broadcast a saved message to its channel or thread and notify unread and
+// mentioned users, returning the copy clients got
+const publishMessage = async (
+  sender,
+  token,
+  newMessage,
+  { message: savedMessage, recipients },
+  clientMessageId
+) => {
+  const { channelId, parentMessageId } = newMessage;
+  // lets the sender match the broadcast to its optimistic copy
+  const outgoing = clientMessageId
+    ? { ...savedMessage, clientMessageId }
+    : savedMessage;
+  // false if the backend's message-created event beat the save response
+  const firstBroadcast = claimBroadcast(savedMessage.id);
+
+  if (parentMessageId) {
+    // thread replies live in their own cache and room
+    let replies = await loadThreadMessages(parentMessageId, token);
+    if (!replies.some((msg) => msg.id === savedMessage.id)) {
+      replies = [...replies, savedMessage];
+      threadCache.set(parentMessageId, replies);
+    }
+    shareThreadChange(parentMessageId);
+
+    const summary = {
+      replyCount: replies.length,
+      lastReplyAt: savedMessage.createdAt,
+      lastReplyBy: {
+        id: sender.id,
+        name: sender.name,
+      },
+    };
+    patchCachedMessage(channelId, parentMessageId, summary);
+
+    if (firstBroadcast) {
+      io.to(`thread:${parentMessageId}`).emit("thread-message", outgoing);
+    }
+
+    // let channel views update their reply counters
+    broadcastToChannel(channelId, "thread-summary", {
+      channelId,
+      parentMessageId,
+      ...summary,
+    });
+  } else {
+    if (firstBroadcast) {
+      // update cache if it exists
+      channelCache.append(channelId, savedMessage);
+      shareCacheChange(channelId);
+
+      // broadcast to all users in channel
+      broadcastToChannel(channelId, "message", outgoing);
+    }
+
+    notifyUnread(channelId, sender.id, token, new Set(recipients.keys()));
+  }
+
+  notifyMentions(channelId, outgoing, recipients, sender);
+
+  return outgoing;
+};
+
+const isBackendUnavailable = (error) =>
+  toSocketError(error).code === "BACKEND_UNAVAILABLE";
+
+// tell the sender, on every device, where a queued message stands
+const emitMessageStatus = (entry, status, fields = {}) => {
+  io.to(`user:${entry.sender.id}`).emit("message-status", {
+    outboxId: entry.id,
+    clientMessageId: entry.clientMessageId,
+    channelId: entry.channelId,
+    parentMessageId: entry.message.parentMessageId,
+    status,
+    ...fields,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// new messages that could not be saved while the backend was unavailable,
+// retried in order per channel and kept on disk across restarts
+const OUTBOX_RETRY_INTERVAL_MS =
+  parseInt(process.env.OUTBOX_RETRY_INTERVAL_MS, 10) || 5 * 1000;
+
+const outbox = createOutbox({
+  path: process.env.OUTBOX_PATH || "data/outbox.jsonl",
+  maxEntries: parseInt(process.env.OUTBOX_MAX_ENTRIES, 10) || 10000,
+  maxAgeMs: parseInt(process.env.OUTBOX_MAX_AGE_MS, 10) || 24 * 60 * 60 * 1000,
+  deliver: (entry) =>
+    saveMessage(entry.sender, entry.token, entry.message, entry.idempotencyKey),
+  isRetryable: isBackendUnavailable,
+  onSent: async (entry, saved) => {
+    try {
+      const outgoing = await publishMessage(
+        entry.sender,
+        entry.token,
+        entry.message,
+        saved,
+        entry.clientMessageId
+      );
+
+      // client retries now get the saved message instead of a pending one
+      if (entry.clientMessageId) {
+        const key = `${entry.sender.id}:${entry.clientMessageId}`;
+        sentMessages.remember(key, outgoing);
+        cluster.publish("messages:sent", { key, message: outgoing });
+      }
+
+      emitMessageStatus(entry, "sent", {
+        messageId: outgoing.id,
+        message: outgoing,
+      });
+    } catch (error) {
+      logger.error("Error publishing message from outbox", {
+        outboxId: entry.id,
+        channelId: entry.channelId,
+        error,
+      });
+    }
+  },
+  onFailed: (entry, { reason, error }) => {
+    logger.warn("Dropped message from outbox", {
+      outboxId: entry.id,
+      channelId: entry.channelId,
+      reason,
+      error,
+    });
+    emitMessageStatus(entry, "failed", {
+      reason,
+      error: toSocketError(
+        error,
+        reason === "expired"
+          ? "Message could not be saved in time"
+          : "Failed to save message"
+      ).toJSON(),
+    });
+  },
+});
+
+const replayed = outbox.open();
+if (replayed > 0) {
+  logger.info("Replaying queued messages from outbox journal", {
+    count: replayed,
+  });
+}
+
+setInterval(() => {
+  outbox.flush().catch((error) => {
+    logger.error("Error flushing outbox", { error });
+  });
+}, OUTBOX_RETRY_INTERVAL_MS);
+
+// put a new message in the outbox and tell the sender it is pending
+const queueMessage = (
+  sender,
+  token,
+  newMessage,
+  clientMessageId,
+  idempotencyKey
+) => {
+  if (outbox.isFull()) {
+    throw new SocketError(
+      "BACKEND_UNAVAILABLE",
+      "Too many messages waiting to be saved"
+    );
+  }
+
+  const entry = outbox.enqueue({
+    channelId: newMessage.channelId,
+    sender: { id: sender.id, name: sender.name },
+    // needed to save the message on the sender's behalf, even after a restart
+    token,
+    // the token is no use after it expires, so neither is the entry
+    expiresAt: getTokenExpiry(token),
+    message: newMessage,
+    clientMessageId,
+    // the save may have reached the backend before it timed out
+    idempotencyKey,
+  });
+  emitMessageStatus(entry, "pending");
+
+  return { outboxId: entry.id, status: "pending" };
+};
+
+// drop cached copies another instance changed
+cluster.subscribe("cache:invalidate", ({ channelId, parentMessageId }) => {
+  if (channelId) {
+    channelCache.invalidate(channelId);
+  }
+  if (parentMessageId) {
+    threadCache.invalidate(parentMessageId);
+  }
+});
+
+// clean up after an instance that stopped sending heartbeats
+cluster.onServerDown((serverId) => {
+  removeServerConnections(serverId).forEach(({ userId, channelIds }) => {
+    clearLocalUnread(userId);
+
+    // every survivor cleans its own state, only one notifies clients
+    if (cluster.isLeader()) {
+      channelIds.forEach((channelId) => {
+        io.to(`channel:${channelId}`).emit("user-left", {
+          channelId,
+          userId,
+          timestamp: new Date().toISOString(),
+        });
+      });
+      broadcastPresence(userId, channelIds);
+    }
+  });
+
+  calls.leaveServer(serverId, Date.now()).forEach((call) => {
+    if (cluster.isLeader()) {
+      broadcastCallState(call);
+    }
+  });
+});
+
+// replacement for a deleted message, so clients can render "message deleted"
+const createTombstone = (deletedBy) => ({
+  content: "",
+  attachments: [],
+  reactions: [],
+  deleted: true,
+  deletedAt: new Date().toISOString(),
+  deletedBy,
+});
+
+// make a user's sockets, on any instance, leave the threads of a channel
+const leaveChannelThreads = async (channelId, userId) => {
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+
+  sockets.forEach((userSocket) => {
+    Object.entries(userSocket.data.threads || {})
+      .filter(([, threadChannelId]) => threadChannelId === channelId)
+      .forEach(([parentMessageId]) =>
+        userSocket.leave(`thread:${parentMessageId}`)
+      );
+  });
+};
+
+// evict every socket of a user that is no longer a channel member
+const removeUserFromChannel = (channelId, userId) => {
+  io.in(`user:${userId}`).socketsLeave(`channel:${channelId}`);
+  leaveChannel(channelId, userId);
+  leaveChannelThreads(channelId, userId).catch((error) => {
+    logger.error("Error removing user from channel threads", {
+      channelId,
+      userId,
+      error,
+    });
+  });
+
+  io.to(`user:${userId}`).emit("removed-from-channel", {
+    channelId,
+    timestamp: new Date().toISOString(),
+  });
+  io.to(`channel:${channelId}`).emit("user-left", {
+    channelId,
+    userId,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// send a channel or member change to everyone watching a team
+const broadcastToTeam = (teamId, type, data) => {
+  io.to(`team:${teamId}`).emit("team-event", {
+    teamId,
+    type,
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// presence of the members of a team who are connected somewhere
+const getTeamOnlineMembers = async (teamId, token) =>
+  queryPresence(await getTeamMembers(teamId, token)).filter(
+    (presence) => presence.status !== "offline"
+  );
+
+// tell a channel's team about a change; archives also reach the channel
+const announceChannelChange = (type, channel) => {
+  if (type === "channel-archived") {
+    broadcastToChannel(channel.id, "channel-archived", {
+      channel,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (channel.teamId) {
+    broadcastToTeam(channel.teamId, type, { channel });
+  }
+};
+
+// tell a team about a member change, dropping removed members from its room
+const announceTeamMember = (type, teamId, userId) => {
+  invalidateTeamMembership(teamId, userId);
+
+  if (type === "member-removed") {
+    io.in(`user:${userId}`).socketsLeave(`team:${teamId}`);
+  }
+  io.to(`user:${userId}`).emit(
+    type === "member-removed" ? "removed-from-team" : "added-to-team",
+    { teamId, timestamp: new Date().toISOString() }
+  );
+
+  broadcastToTeam(teamId, type, { userId, presence: getPresence(userId) });
+};
+
+// send a call's state to its channel or conversation and to everyone in
+// the call or rung by it, plus users who just left it
+const broadcastCallState = (call, formerUserIds = []) => {
+  const userIds = [
+    ...call.participants.map((participant) => participant.userId),
+    ...call.invited,
+    ...formerUserIds,
+    ...(call.conversationId
+      ? getCachedDmParticipants(call.conversationId) || []
+      : []),
+  ];
+
+  io.to([
+    ...(call.channelId ? [`channel:${call.channelId}`] : []),
+    ...userIds.map((userId) => `user:${userId}`),
+  ]).emit("call-state", { call, timestamp: new Date().toISOString() });
+};
+
+// ring every device of the given users
+const ringUsers = (call, userIds, from) => {
+  if (userIds.length > 0) {
+    io.to(userIds.map((userId) => `user:${userId}`)).emit("incoming-call", {
+      call,
+      from,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// drop unanswered invites; every instance expires its own copy, only one
+// notifies clients
+setInterval(() => {
+  calls.expireInvites(Date.now()).forEach(({ call, userIds }) => {
+    if (cluster.isLeader()) {
+      io.to(userIds.map((userId) => `user:${userId}`)).emit("call-missed", {
+        call,
+        timestamp: new Date().toISOString(),
+      });
+      broadcastCallState(call, userIds);
+    }
+  });
+}, 5 * 1000);
+
+// how long before a token expires the client is asked for a new one
+const TOKEN_EXPIRY_WARNING_MS =
+  parseInt(process.env.TOKEN_EXPIRY_WARNING_MS, 10) || 60 * 1000;
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
 
 // use authentication middleware
 io.use(authenticateSocket);
 
+// refuse reconnects of users blocked for flooding
+io.use((socket, next) => {
+  const retryAfterMs = rateLimiter.blockedFor(socket.user.id);
+
+  if (retryAfterMs > 0) {
+    const error = new Error("Rate limited");
+    error.data = { code: "RATE_LIMITED", retryAfterMs };
+    return next(error);
+  }
+
+  next();
+});
+
 // socket connection handler
 io.on("connection", async (socket) => {
-  console.log(`User connected: ${socket.user.id} (${socket.user.name})`);
+  // identifies the socket in entries logged outside of event handlers
+  const socketLog = { socketId: socket.id, userId: socket.user.id };
 
-  // track user token for API calls
-  const userToken = socket.handshake.auth.token;
+  logger.info("User connected", { ...socketLog, userName: socket.user.name });
 
-  // join a channel
-  socket.on("join-channel", async (data) => {
-    try {
-      const { channelId } = data;
+  // track user token for API calls, replaced on reauthenticate
+  let userToken = socket.handshake.auth.token;
+  let tokenTimers = [];
+
+  // warn the client before its token runs out and drop it once it has
+  const scheduleTokenExpiry = () => {
+    tokenTimers.forEach(clearTimeout);
+    tokenTimers = [];
+
+    const expiresAt = getTokenExpiry(userToken);
+    if (!expiresAt) {
+      return;
+    }
 
-      if (!channelId) {
-        socket.emit("error", { message: "Channel ID is required" });
+    const at = (time, fn) => {
+      const delay = Math.max(time - Date.now(), 0);
+      // far away, check again later
+      if (delay > MAX_TIMER_DELAY_MS) {
+        tokenTimers.push(setTimeout(scheduleTokenExpiry, MAX_TIMER_DELAY_MS));
         return;
       }
+      tokenTimers.push(setTimeout(fn, delay));
+    };
+
+    at(expiresAt - TOKEN_EXPIRY_WARNING_MS, () => {
+      socket.emit("token-expiring", {
+        expiresAt: new Date(expiresAt).toISOString(),
+        expiresInMs: Math.max(expiresAt - Date.now(), 0),
+      });
+    });
+
+    at(expiresAt, () => {
+      logger.info("Token expired, disconnecting", socketLog);
+      socket.emit("session-expired", {
+        ...new SocketError("TOKEN_EXPIRED").toJSON(),
+        expiredAt: new Date(expiresAt).toISOString(),
+      });
+      socket.disconnect(true);
+    });
+  };
+  scheduleTokenExpiry();
+
+  // reject channel events the user's role in the channel doesn't allow
+  const authorize = async (event, data) => {
+    const action = EVENT_PERMISSIONS[event];
+    if (!action) {
+      return {};
+    }
 
-      console.log(`User ${socket.user.id} joining channel ${channelId}`);
+    const role = await getChannelRole(socket.user, data.channelId, userToken);
+    if (!role) {
+      throw new SocketError(
+        "FORBIDDEN",
+        "You are not a member of this channel"
+      );
+    }
+    if (!can(role, action)) {
+      throw new SocketError(
+        "FORBIDDEN",
+        `The ${role} role is not allowed to use ${event}`
+      );
+    }
 
-      // join socket room for this channel
-      socket.join(`channel:${channelId}`);
+    return { role };
+  };
+
+  // register a handler with the common ack, error and permission contract
+  const on = (event, failureMessage, handler) =>
+    socket.on(
+      event,
+      handleEvent(socket, event, failureMessage, handler, {
+        rateLimiter,
+        authorize,
+      })
+    );
+
+  // personal room, used to reach every connected socket of this user
+  socket.join(`user:${socket.user.id}`);
+
+  // count sockets per user so a second tab doesn't double up presence
+  if (addConnection(socket.user.id, socket.id, cluster.serverId)) {
+    broadcastPresence(socket.user.id);
+  }
+
+  // any event counts as activity for idle detection
+  socket.onAny(() => {
+    if (recordActivity(socket.user.id)) {
+      broadcastPresence(socket.user.id);
+    }
+  });
 
-      // track active users in the channel
-      if (!activeChannels.has(channelId)) {
-        activeChannels.set(channelId, new Set());
+  // send unread and mention counts for every channel of the user
+  getUnreadSummary(socket.user.id, userToken)
+    .then((summary) => {
+      // the socket may be gone by the time the backend answers
+      if (socket.connected) {
+        seedUnread(socket.user.id, summary);
       }
-      activeChannels.get(channelId).add(socket.user.id);
+    })
+    .catch((error) => logger.error("Failed to fetch unread summary", { error }))
+    .finally(() => {
+      socket.emit("unread-summary", {
+        channels: getUnread(socket.user.id),
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+  // join the room of a channel and track the user as active in it
+  const enterChannel = (channelId) => {
+    socket.join(`channel:${channelId}`);
 
-      // notify other users in the channel
+    // notify other users on the user's first socket in the channel
+    if (joinChannel(channelId, socket.user.id, socket.id)) {
       socket.to(`channel:${channelId}`).emit("user-joined", {
         channelId,
         user: {
@@ -76,72 +1033,276 @@ io.on("connection", async (socket) => {
         },
         timestamp: new Date().toISOString(),
       });
+    }
+  };
+
+  // swap in a fresh token without reconnecting
+  on("reauthenticate", "Failed to reauthenticate", async (data) => {
+    let user;
+    try {
+      user = await validateToken(data.token);
+    } catch (error) {
+      // keep BACKEND_UNAVAILABLE so the client retries the same token
+      const socketError = toSocketError(error, "Auth service unavailable");
+      if (socketError.code === "BACKEND_UNAVAILABLE") {
+        throw socketError;
+      }
+      throw new SocketError("UNAUTHORIZED", "Invalid token");
+    }
+
+    if (user.id !== socket.user.id) {
+      throw new SocketError("UNAUTHORIZED", "Token belongs to another user");
+    }
+
+    userToken = data.token;
+    socket.user = { ...socket.user, ...user };
+    scheduleTokenExpiry();
+
+    const expiresAt = getTokenExpiry(userToken);
+    const result = {
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    };
+    socket.emit("reauthenticated", result);
+
+    return result;
+  });
+
+  // fail unless the user belongs to the team
+  const requireTeamMember = async (teamId) => {
+    const membership = await getTeamMembership(
+      teamId,
+      socket.user.id,
+      userToken
+    );
+    if (!membership) {
+      throw new SocketError("FORBIDDEN", "You are not a member of this team");
+    }
+
+    return membership;
+  };
+
+  // join the room of a team to follow its channel and member changes
+  on("join-team", "Failed to join team", async (data) => {
+    const { teamId } = data;
+
+    await requireTeamMember(teamId);
+    socket.join(`team:${teamId}`);
+
+    const result = {
+      teamId,
+      onlineMembers: await getTeamOnlineMembers(teamId, userToken),
+      timestamp: new Date().toISOString(),
+    };
+    socket.emit("team-joined", result);
+
+    return result;
+  });
+
+  // leave a team room
+  on("leave-team", "Failed to leave team", async (data) => {
+    socket.leave(`team:${data.teamId}`);
+  });
+
+  // list the members of a team who are online
+  on("team-presence", "Failed to fetch team presence", async (data) => {
+    const { teamId } = data;
+
+    await requireTeamMember(teamId);
+
+    const result = {
+      teamId,
+      onlineMembers: await getTeamOnlineMembers(teamId, userToken),
+      timestamp: new Date().toISOString(),
+    };
+    socket.emit("team-presence", result);
+
+    return result;
+  });
+
+  // a client changed a team's channels or members through the REST API
+  on("team-changed", "Failed to process team change", async (data) => {
+    const { teamId, type, channelId, userId } = data;
+
+    const membership = await requireTeamMember(teamId);
+
+    // the backend, not the client, decides what actually changed
+    if (type === "member-added" || type === "member-removed") {
+      if (!userId) {
+        throw new SocketError("VALIDATION_ERROR", "userId is required");
+      }
+
+      // only those who may change the team's members announce changes
+      if (
+        !can(resolveRole(socket.user.roles, membership.role), "manageMembers")
+      ) {
+        throw new SocketError(
+          "FORBIDDEN",
+          "You may not manage members of this team"
+        );
+      }
+
+      invalidateTeamMembership(teamId, userId);
+      // asked with this user's token, so the answer is not cached as the
+      // member's own
+      const isMember = await isTeamMember(teamId, userId, userToken, {
+        cache: false,
+      });
+      if (isMember !== (type === "member-added")) {
+        throw new SocketError(
+          "VALIDATION_ERROR",
+          `User ${userId} is ${isMember ? "still" : "not"} a team member`
+        );
+      }
+
+      announceTeamMember(type, teamId, userId);
+      return;
+    }
+
+    if (!channelId) {
+      throw new SocketError("VALIDATION_ERROR", "channelId is required");
+    }
+
+    const channel = await getChannel(channelId, userToken);
+    if (!channel || channel.teamId !== teamId) {
+      throw new SocketError("NOT_FOUND", "Channel not found in this team");
+    }
+    if (type === "channel-archived" && !channel.archived) {
+      throw new SocketError(
+        "VALIDATION_ERROR",
+        `Channel ${channelId} is not archived`
+      );
+    }
+
+    announceChannelChange(type, { ...channel, id: channelId });
+  });
+
+  // join a channel
+  on(
+    "join-channel",
+    "Failed to join channel",
+    async (data, { emitError, role }) => {
+      const { channelId } = data;
+
+      logger.info("Joining channel", { channelId });
+
+      enterChannel(channelId);
 
       // fetch channel messages and send to the user
       try {
-        // try to get messages from cache first
+        // try to get the latest page from cache first
         let messages;
-        const cacheKey = `${channelId}`;
-
-        if (channelMessagesCache.has(cacheKey)) {
-          console.log(`Using cached messages for channel ${channelId}`);
-          messages = channelMessagesCache.get(cacheKey);
+        let hasMore;
+        const cached = channelCache.get(channelId);
+
+        if (cached) {
+          logger.debug("Using cached channel messages", { channelId });
+          messages = cached.messages.slice(-HISTORY_PAGE_SIZE);
+          hasMore =
+            cached.messages.length > HISTORY_PAGE_SIZE || cached.hasMore;
         } else {
           // if not in cache, fetch from API
-          console.log(`Fetching messages from API for channel ${channelId}`);
-          messages = await getChannelMessages(channelId, userToken);
-
-          // store in cache for future use (5 minutes expiry)
-          channelMessagesCache.set(cacheKey, messages);
-          setTimeout(() => {
-            channelMessagesCache.delete(cacheKey);
-          }, 5 * 60 * 1000);
+          logger.debug("Channel messages not cached", { channelId });
+          ({ messages, hasMore } = await getChannelMessages(
+            channelId,
+            userToken,
+            { limit: HISTORY_PAGE_SIZE }
+          ));
+
+          // store in cache for future use
+          channelCache.set(channelId, messages, hasMore);
         }
 
-        console.log(
-          `Sending ${messages.length} messages to user for channel ${channelId}`
-        );
-        socket.emit("channel-history", { channelId, messages });
-      } catch (error) {
-        console.error(
-          `Failed to fetch messages for channel ${channelId}:`,
-          error
-        );
-        socket.emit("error", {
-          type: "FETCH_MESSAGES_ERROR",
-          message: "Failed to fetch channel messages",
+        logger.debug("Sending channel history", {
+          channelId,
+          count: messages.length,
         });
+        socket.emit("channel-history", {
+          channelId,
+          messages,
+          hasMore,
+          seq: channelEvents.latest(channelId),
+        });
+      } catch (error) {
+        // the join itself worked, only the history is missing
+        emitError(error, "Failed to fetch channel messages");
       }
 
       // confirm subscription
+      const activeUsers = getChannelUsers(channelId);
       socket.emit("channel-joined", {
         channelId,
         timestamp: new Date().toISOString(),
-        activeUsers: Array.from(activeChannels.get(channelId)),
+        activeUsers,
+        presence: queryPresence(activeUsers),
+        seq: channelEvents.latest(channelId),
+        permissions: describePermissions(role),
+        // lets the channel show "call in progress"
+        call: calls.findByScope({ channelId }),
+      });
+
+      socket.emit("unread-summary", {
+        channels: getUnread(socket.user.id),
+        timestamp: new Date().toISOString(),
+      });
+    }
+  );
+
+  // rejoin channels after a reconnect and replay the events missed meanwhile
+  on("resume", "Failed to resume session", async (data, { emitError }) => {
+    // { [channelId]: last sequence number seen }
+    const { channels } = data;
+
+    for (const [channelId, lastSeq] of Object.entries(channels)) {
+      // a channel the user lost access to doesn't stop the others
+      const role = await getChannelRole(socket.user, channelId, userToken);
+      if (!role || !can(role, "read")) {
+        emitError(
+          new SocketError(
+            "FORBIDDEN",
+            `You are not a member of channel ${channelId}`
+          )
+        );
+        continue;
+      }
+
+      enterChannel(channelId);
+
+      // every instance numbers events on its own, so with several of them
+      // sequence numbers collide and a gap can't be replayed reliably
+      const events =
+        cluster.mode === "memory"
+          ? channelEvents.since(channelId, Number(lastSeq))
+          : null;
+      if (events === null) {
+        // too far behind, the client has to reload the channel
+        socket.emit("resync-required", {
+          channelId,
+          seq: channelEvents.latest(channelId),
+        });
+        continue;
+      }
+
+      socket.emit("missed-events", {
+        channelId,
+        events: events.map(({ seq, event, payload }) => ({
+          seq,
+          event,
+          payload: { ...payload, seq },
+        })),
+        seq: channelEvents.latest(channelId),
       });
-    } catch (error) {
-      console.error("Error joining channel:", error);
-      socket.emit("error", { message: "Failed to join channel" });
     }
   });
 
   // leave a channel
-  socket.on("leave-channel", (data) => {
+  on("leave-channel", "Failed to leave channel", async (data) => {
     const { channelId } = data;
 
-    if (channelId && activeChannels.has(channelId)) {
-      // remove user from channel tracking
-      activeChannels.get(channelId).delete(socket.user.id);
-
-      // clean up empty channels
-      if (activeChannels.get(channelId).size === 0) {
-        activeChannels.delete(channelId);
-      }
-
-      // leave the socket room
-      socket.leave(`channel:${channelId}`);
+    // leave the socket room
+    socket.leave(`channel:${channelId}`);
 
-      // notify others
+    // notify others once the user's last socket has left
+    if (leaveChannel(channelId, socket.user.id, socket.id)) {
       socket.to(`channel:${channelId}`).emit("user-left", {
         channelId,
         userId: socket.user.id,
@@ -150,77 +1311,196 @@ io.on("connection", async (socket) => {
     }
   });
 
+  // mark a channel as read up to a message
+  on("mark-read", "Failed to save read position", async (data) => {
+    const { channelId, messageId } = data;
+
+    await markChannelRead(channelId, socket.user.id, messageId, userToken);
+    resetUnread(socket.user.id, channelId);
+
+    // sync the user's other devices
+    io.to(`user:${socket.user.id}`).emit("unread-update", {
+      channelId,
+      unreadCount: 0,
+      mentionCount: 0,
+    });
+
+    // let the channel show "seen by"
+    io.to(`channel:${channelId}`).emit("read-receipt", {
+      channelId,
+      messageId,
+      userId: socket.user.id,
+      userName: socket.user.name,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // a moderator changed channel membership through the REST API
+  on(
+    "membership-changed",
+    "Failed to process membership change",
+    async (data) => {
+      const { channelId, userId } = data;
+
+      invalidateMembership(channelId, userId);
+
+      // asked with the moderator's token, so the answer is not cached as
+      // the member's own
+      const isMember = await isChannelMember(channelId, userId, userToken, {
+        cache: false,
+      });
+      if (!isMember) {
+        removeUserFromChannel(channelId, userId);
+      }
+    }
+  );
+
   // new message event handler
-  socket.on("new-message", async (messageData) => {
-    try {
-      const { channelId, content, attachments = [] } = messageData;
+  on("new-message", "Failed to save message", async (messageData) => {
+    const {
+      channelId,
+      content,
+      attachments = [],
+      parentMessageId,
+      clientMessageId,
+    } = messageData;
+
+    // create message object
+    const newMessage = {
+      channelId,
+      content,
+      attachments,
+      createdAt: new Date().toISOString(),
+    };
+    if (parentMessageId) {
+      newMessage.parentMessageId = parentMessageId;
+    }
 
-      if (!channelId || !content) {
-        socket.emit("error", {
-          message: "Channel ID and content are required",
-        });
-        return;
+    // sent with every attempt to save this message, so the backend can drop
+    // copies of a save that timed out after reaching it
+    const idempotencyKey = clientMessageId
+      ? `${socket.user.id}:${clientMessageId}`
+      : randomUUID();
+
+    // save and broadcast the message, once per clientMessageId; while the
+    // backend is down it waits in the outbox instead
+    const send = async () => {
+      // later messages of a channel must not overtake those in the outbox
+      if (outbox.hasPending(channelId)) {
+        return queueMessage(
+          socket.user,
+          userToken,
+          newMessage,
+          clientMessageId,
+          idempotencyKey
+        );
       }
 
-      // create message object
-      const newMessage = {
-        channelId,
-        content,
-        attachments,
-        createdAt: new Date().toISOString(),
+      let saved;
+      try {
+        saved = await saveMessage(
+          socket.user,
+          userToken,
+          newMessage,
+          idempotencyKey
+        );
+      } catch (error) {
+        if (!isBackendUnavailable(error)) {
+          throw error;
+        }
+        return queueMessage(
+          socket.user,
+          userToken,
+          newMessage,
+          clientMessageId,
+          idempotencyKey
+        );
+      }
+
+      return publishMessage(
+        socket.user,
+        userToken,
+        newMessage,
+        saved,
+        clientMessageId
+      );
+    };
+
+    // save to database via API
+    let result;
+    if (clientMessageId) {
+      const key = `${socket.user.id}:${clientMessageId}`;
+      result = await sentMessages.run(key, send);
+      if (!result.duplicate) {
+        cluster.publish("messages:sent", { key, message: result.result });
+      }
+    } else {
+      result = { result: await send(), duplicate: false };
+    }
+
+    // queued messages are confirmed with message-status instead
+    if (result.result.outboxId) {
+      return {
+        pending: true,
+        outboxId: result.result.outboxId,
+        duplicate: result.duplicate,
       };
+    }
 
-      // save to database via API
-      try {
-        const savedMessage = await createMessage(newMessage, userToken);
+    const savedMessage = result.result;
 
-        // update cache if it exists
-        const cacheKey = `${channelId}`;
-        if (channelMessagesCache.has(cacheKey)) {
-          const cachedMessages = channelMessagesCache.get(cacheKey);
-          channelMessagesCache.set(cacheKey, [...cachedMessages, savedMessage]);
-        }
+    // confirm to sender
+    socket.emit("message-sent", {
+      messageId: savedMessage.id,
+      clientMessageId,
+      status: "delivered",
+      timestamp: new Date().toISOString(),
+    });
 
-        // broadcast to all users in channel
-        io.to(`channel:${channelId}`).emit("message", savedMessage);
+    return { message: savedMessage, duplicate: result.duplicate };
+  });
 
-        // confirm to sender
-        socket.emit("message-sent", {
-          messageId: savedMessage.id,
-          status: "delivered",
-          timestamp: new Date().toISOString(),
-        });
-      } catch (error) {
-        console.error("Error saving message:", error);
-        socket.emit("error", {
-          type: "SAVE_MESSAGE_ERROR",
-          message: "Failed to save message",
-        });
-      }
-    } catch (error) {
-      console.error("Error processing new message:", error);
-      socket.emit("error", { message: "Failed to process message" });
+  // join a message thread
+  on("join-thread", "Failed to fetch thread replies", async (data) => {
+    const { channelId, parentMessageId } = data;
+
+    await requireThreadParent(channelId, parentMessageId, userToken);
+    const messages = await loadThreadMessages(parentMessageId, userToken);
+
+    socket.join(`thread:${parentMessageId}`);
+    // remembered so removal from the channel also ends the thread's replies
+    socket.data.threads = {
+      ...socket.data.threads,
+      [parentMessageId]: channelId,
+    };
+    socket.emit("thread-history", { channelId, parentMessageId, messages });
+  });
+
+  // leave a message thread
+  on("leave-thread", "Failed to leave thread", async (data) => {
+    const { parentMessageId } = data;
+
+    socket.leave(`thread:${parentMessageId}`);
+    if (socket.data.threads) {
+      delete socket.data.threads[parentMessageId];
     }
   });
 
   // handle file upload notifications
-  socket.on("file-upload-complete", async (data) => {
-    try {
+  on(
+    "file-upload-complete",
+    "Failed to process file upload notification",
+    async (data) => {
       const { channelId, fileData } = data;
 
-      if (!channelId || !fileData) {
-        socket.emit("error", {
-          message: "Channel ID and file data are required",
-        });
-        return;
-      }
-
-      console.log(
-        `User ${socket.user.id} uploaded file ${fileData.fileName} to channel ${channelId}`
-      );
+      logger.info("File uploaded", {
+        channelId,
+        fileId: fileData.id,
+        fileSize: fileData.fileSize,
+      });
 
       // broadcast to all users in the channel about the new file
-      io.to(`channel:${channelId}`).emit("file-uploaded", {
+      broadcastToChannel(channelId, "file-uploaded", {
         channelId,
         fileData,
         uploadedBy: {
@@ -231,266 +1511,584 @@ io.on("connection", async (socket) => {
       });
 
       // update cache if needed - similar to message handling
-      const cacheKey = `${channelId}`;
-      if (channelMessagesCache.has(cacheKey)) {
+      if (channelCache.has(channelId)) {
         // if there's a message with this attachment, no need to update cache
         // the message handler will take care of that
-        console.log(
-          `Cache exists for channel ${channelId}, will be updated by message handler`
-        );
+        logger.debug("Channel cache left to the message handler", {
+          channelId,
+        });
       }
-    } catch (error) {
-      console.error("Error handling file upload notification:", error);
-      socket.emit("error", {
-        message: "Failed to process file upload notification",
-      });
     }
-  });
+  );
 
   // message reaction handler
-  socket.on("add-reaction", async (data) => {
-    try {
-      const { messageId, channelId, reactionType } = data;
-
-      if (!messageId || !channelId || !reactionType) {
-        socket.emit("error", {
-          message: "Message ID, Channel ID and reaction type are required",
-        });
-        return;
-      }
-
-      const reaction = {
-        userId: socket.user.id,
-        reactionType,
-      };
+  on("add-reaction", "Failed to add reaction", async (data) => {
+    const { messageId, channelId, reactionType } = data;
 
-      console.log("INFOS TO BE SEND:...");
-      console.log("Mid: " + messageId);
-      console.log("Chid: " + channelId);
-      console.log("ReactionType: " + reactionType);
+    const reaction = {
+      userId: socket.user.id,
+      reactionType,
+    };
 
-      // check if this message exists in cache
-      const cacheKey = `${channelId}`;
-      let existingReaction = null;
+    logger.debug("Adding reaction", { messageId, channelId, reactionType });
 
-      if (channelMessagesCache.has(cacheKey)) {
-        const cachedMessages = channelMessagesCache.get(cacheKey);
-        const message = cachedMessages.find((msg) => msg.id === messageId);
+    // check if this message exists in cache
+    const cached = channelCache.get(channelId);
+    let existingReaction = null;
 
-        if (message && message.reactions) {
-          existingReaction = message.reactions.find(
-            (r) =>
-              r.userId === socket.user.id && r.reactionType === reactionType
-          );
-        }
-      }
+    if (cached) {
+      const message = cached.messages.find((msg) => msg.id === messageId);
 
-      // if reaction already exists, remove it
-      if (existingReaction) {
-        console.log(
-          `Found existing reaction, removing it: ${existingReaction.id}`
+      if (message && message.reactions) {
+        existingReaction = message.reactions.find(
+          (r) => r.userId === socket.user.id && r.reactionType === reactionType
         );
-
-        try {
-          await removeReaction(
-            messageId,
-            existingReaction.id,
-            socket.user.id,
-            reactionType,
-            userToken
-          );
-
-          // update cache if it exists
-          if (channelMessagesCache.has(cacheKey)) {
-            const cachedMessages = channelMessagesCache.get(cacheKey);
-            const updatedMessages = cachedMessages.map((msg) => {
-              if (msg.id === messageId) {
-                return {
-                  ...msg,
-                  reactions: (msg.reactions || []).filter(
-                    (r) => r.id !== existingReaction.id
-                  ),
-                };
-              }
-              return msg;
-            });
-            channelMessagesCache.set(cacheKey, updatedMessages);
-          }
-
-          // broadcast removal to channel
-          io.to(`channel:${channelId}`).emit("reaction-update", {
-            id: existingReaction.id,
-            messageId,
-            userId: socket.user.id,
-            channelId,
-            reactionType,
-            action: "remove",
-          });
-
-          return; // rxit early after removing
-        } catch (error) {
-          console.error("Error removing existing reaction:", error);
-        }
-      }
-
-      // if no existing reaction or removal failed, add new reaction
-      try {
-        const savedReaction = await addReaction(messageId, reaction, userToken);
-
-        // pdate cache if it exists
-        if (channelMessagesCache.has(cacheKey)) {
-          const cachedMessages = channelMessagesCache.get(cacheKey);
-          const updatedMessages = cachedMessages.map((msg) => {
-            if (msg.id === messageId) {
-              return {
-                ...msg,
-                reactions: [...(msg.reactions || []), savedReaction],
-              };
-            }
-            return msg;
-          });
-          channelMessagesCache.set(cacheKey, updatedMessages);
-        }
-
-        // create a full reaction object to broadcast
-        const reactionData = {
-          id: savedReaction.id,
-          messageId,
-          userId: socket.user.id,
-          channelId,
-          reactionType,
-          action: "add",
-        };
-        console.log("REACTION DATA: " + reactionData);
-
-        // broadcast to channel
-        io.to(`channel:${channelId}`).emit("reaction-update", reactionData);
-      } catch (error) {
-        console.error("Error adding reaction:", error);
-        socket.emit("error", {
-          type: "REACTION_ERROR",
-          message: "Failed to add reaction",
-        });
       }
-    } catch (error) {
-      console.error("Error processing reaction:", error);
-      socket.emit("error", { message: "Failed to process reaction" });
     }
-  });
-
-  // rmv reaction handler
-  socket.on("remove-reaction", async (data) => {
-    try {
-      const { messageId, reactionId, channelId, reactionType } = data;
 
-      if (!messageId || !reactionId || !channelId || !reactionType) {
-        socket.emit("error", {
-          message:
-            "Message ID, Reaction ID, Channel ID and reaction type are required",
-        });
-        return;
-      }
+    // if reaction already exists, remove it
+    if (existingReaction) {
+      logger.debug("Replacing existing reaction", {
+        reactionId: existingReaction.id,
+      });
 
-      // rmv from database via API
       try {
         await removeReaction(
           messageId,
-          reactionId,
+          existingReaction.id,
           socket.user.id,
           reactionType,
           userToken
         );
 
         // update cache if it exists
-        const cacheKey = `${channelId}`;
-        if (channelMessagesCache.has(cacheKey)) {
-          const cachedMessages = channelMessagesCache.get(cacheKey);
-          const updatedMessages = cachedMessages.map((msg) => {
+        channelCache.update(channelId, (cachedMessages) =>
+          cachedMessages.map((msg) => {
             if (msg.id === messageId) {
               return {
                 ...msg,
                 reactions: (msg.reactions || []).filter(
-                  (r) => r.id !== reactionId
+                  (r) => r.id !== existingReaction.id
                 ),
               };
             }
             return msg;
-          });
-          channelMessagesCache.set(cacheKey, updatedMessages);
-        }
+          })
+        );
+        shareCacheChange(channelId);
 
-        // broadcast to channel
-        io.to(`channel:${channelId}`).emit("reaction-update", {
-          id: reactionId,
+        // broadcast removal to channel
+        broadcastToChannel(channelId, "reaction-update", {
+          id: existingReaction.id,
           messageId,
           userId: socket.user.id,
           channelId,
           reactionType,
           action: "remove",
         });
+
+        return; // rxit early after removing
       } catch (error) {
-        console.error("Error removing reaction:", error);
-        socket.emit("error", {
-          type: "REACTION_ERROR",
-          message: "Failed to remove reaction",
-        });
+        logger.error("Error removing existing reaction", { error });
       }
-    } catch (error) {
-      console.error("Error processing reaction removal:", error);
-      socket.emit("error", { message: "Failed to process reaction removal" });
     }
+
+    // if no existing reaction or removal failed, add new reaction
+    const savedReaction = await addReaction(messageId, reaction, userToken);
+
+    // pdate cache if it exists
+    channelCache.update(channelId, (cachedMessages) =>
+      cachedMessages.map((msg) => {
+        if (msg.id === messageId) {
+          return {
+            ...msg,
+            reactions: [...(msg.reactions || []), savedReaction],
+          };
+        }
+        return msg;
+      })
+    );
+    shareCacheChange(channelId);
+
+    // create a full reaction object to broadcast
+    const reactionData = {
+      id: savedReaction.id,
+      messageId,
+      userId: socket.user.id,
+      channelId,
+      reactionType,
+      action: "add",
+    };
+
+    // broadcast to channel
+    broadcastToChannel(channelId, "reaction-update", reactionData);
   });
-  // force refresh channel messages
-  socket.on("refresh-messages", async (data) => {
-    try {
-      const { channelId } = data;
 
-      if (!channelId) {
-        socket.emit("error", { message: "Channel ID is required" });
-        return;
-      }
+  // rmv reaction handler
+  on("remove-reaction", "Failed to remove reaction", async (data) => {
+    const { messageId, reactionId, channelId, reactionType } = data;
+
+    // rmv from database via API
+    await removeReaction(
+      messageId,
+      reactionId,
+      socket.user.id,
+      reactionType,
+      userToken
+    );
+
+    // update cache if it exists
+    channelCache.update(channelId, (cachedMessages) =>
+      cachedMessages.map((msg) => {
+        if (msg.id === messageId) {
+          return {
+            ...msg,
+            reactions: (msg.reactions || []).filter((r) => r.id !== reactionId),
+          };
+        }
+        return msg;
+      })
+    );
+    shareCacheChange(channelId);
+
+    // broadcast to channel
+    broadcastToChannel(channelId, "reaction-update", {
+      id: reactionId,
+      messageId,
+      userId: socket.user.id,
+      channelId,
+      reactionType,
+      action: "remove",
+    });
+  });
+
+  // edit message handler
+  on("edit-message", "Failed to edit message", async (data, { role }) => {
+    const { messageId, channelId, content } = data;
 
-      // clear cache for this channel
-      const cacheKey = `${channelId}`;
-      channelMessagesCache.delete(cacheKey);
+    const message = await findMessage(channelId, messageId, userToken);
 
-      // fetch fresh messages
-      const messages = await getChannelMessages(channelId, userToken);
+    if (!message) {
+      throw new SocketError("NOT_FOUND", "Message not found");
+    }
 
-      // update cache
-      channelMessagesCache.set(cacheKey, messages);
+    if (message.senderId !== socket.user.id && !can(role, "editAny")) {
+      throw new SocketError("FORBIDDEN", "You can only edit your own messages");
+    }
 
-      // send to user
-      socket.emit("channel-history", { channelId, messages });
-    } catch (error) {
-      console.error(
-        `Error refreshing messages for channel ${data.channelId}:`,
-        error
+    const updatedMessage = await updateMessage(
+      messageId,
+      { content },
+      userToken
+    );
+    const editedAt = new Date().toISOString();
+
+    patchCachedMessage(channelId, messageId, {
+      ...updatedMessage,
+      content,
+      edited: true,
+      editedAt,
+    });
+
+    // broadcast to all users in channel
+    broadcastToChannel(channelId, "message-updated", {
+      ...updatedMessage,
+      id: messageId,
+      channelId,
+      content,
+      edited: true,
+      editedAt,
+      editedBy: socket.user.id,
+    });
+  });
+
+  // delete message handler
+  on("delete-message", "Failed to delete message", async (data, { role }) => {
+    const { messageId, channelId } = data;
+
+    const message = await findMessage(channelId, messageId, userToken);
+
+    if (!message) {
+      throw new SocketError("NOT_FOUND", "Message not found");
+    }
+
+    if (message.senderId !== socket.user.id && !can(role, "deleteAny")) {
+      throw new SocketError(
+        "FORBIDDEN",
+        "You can only delete your own messages"
+      );
+    }
+
+    await deleteMessage(messageId, userToken);
+
+    // keep a tombstone in place so clients can render "message deleted"
+    const tombstone = createTombstone(socket.user.id);
+    patchCachedMessage(channelId, messageId, tombstone);
+
+    // broadcast to all users in channel
+    broadcastToChannel(channelId, "message-deleted", {
+      id: messageId,
+      channelId,
+      ...tombstone,
+    });
+  });
+
+  // start a 1:1 or group direct conversation
+  on("start-dm", "Failed to start conversation", async (data) => {
+    const { participantIds } = data;
+
+    const participants = Array.from(
+      new Set([socket.user.id, ...participantIds])
+    );
+
+    if (participants.length < 2) {
+      throw new SocketError(
+        "VALIDATION_ERROR",
+        "A conversation needs at least one other participant"
+      );
+    }
+
+    if (participants.length > MAX_DM_PARTICIPANTS) {
+      throw new SocketError(
+        "VALIDATION_ERROR",
+        `Group conversations are limited to ${MAX_DM_PARTICIPANTS} participants`
+      );
+    }
+
+    const conversation = await createConversation(participants, userToken);
+    const members = conversation.participantIds || participants;
+    cacheDmParticipants(conversation.id, members);
+
+    // let every participant know about the conversation
+    io.to(members.map((id) => `user:${id}`)).emit("dm-started", {
+      conversation,
+      startedBy: {
+        id: socket.user.id,
+        name: socket.user.name,
+      },
+      timestamp: new Date().toISOString(),
+    });
+
+    return { conversation };
+  });
+
+  // new direct message handler
+  on("dm-message", "Failed to save message", async (messageData) => {
+    const { conversationId, content, attachments = [] } = messageData;
+
+    const participants = await loadDmParticipants(conversationId, userToken);
+
+    if (!participants.includes(socket.user.id)) {
+      throw new SocketError(
+        "FORBIDDEN",
+        "You are not part of this conversation"
+      );
+    }
+
+    const savedMessage = await createDirectMessage(
+      conversationId,
+      { content, attachments },
+      userToken
+    );
+
+    // deliver to every connected socket of every participant
+    io.to(participants.map((id) => `user:${id}`)).emit(
+      "direct-message",
+      savedMessage
+    );
+
+    // confirm to sender
+    socket.emit("message-sent", {
+      messageId: savedMessage.id,
+      status: "delivered",
+      timestamp: new Date().toISOString(),
+    });
+
+    return { message: savedMessage };
+  });
+
+  // direct conversation history
+  on("dm-history", "Failed to fetch conversation messages", async (data) => {
+    const { conversationId } = data;
+
+    const participants = await loadDmParticipants(conversationId, userToken);
+
+    if (!participants.includes(socket.user.id)) {
+      throw new SocketError(
+        "FORBIDDEN",
+        "You are not part of this conversation"
+      );
+    }
+
+    const messages = await getConversationMessages(conversationId, userToken);
+    socket.emit("dm-history", { conversationId, messages });
+  });
+
+  // force refresh channel messages
+  on("refresh-messages", "Failed to refresh channel messages", async (data) => {
+    const { channelId } = data;
+
+    // clear cache for this channel
+    channelCache.invalidate(channelId);
+
+    // fetch fresh messages
+    const { messages, hasMore } = await getChannelMessages(
+      channelId,
+      userToken,
+      { limit: HISTORY_PAGE_SIZE }
+    );
+
+    // update cache
+    channelCache.set(channelId, messages, hasMore);
+    shareCacheChange(channelId);
+
+    // send to user
+    socket.emit("channel-history", {
+      channelId,
+      messages,
+      hasMore,
+      seq: channelEvents.latest(channelId),
+    });
+  });
+
+  // load an older or newer page of channel history
+  on("load-history", "Failed to load channel history", async (data) => {
+    const { channelId, before, after, limit = HISTORY_PAGE_SIZE } = data;
+
+    if (before && after) {
+      throw new SocketError(
+        "VALIDATION_ERROR",
+        "Use either a before or an after cursor, not both"
       );
-      socket.emit("error", {
-        type: "FETCH_MESSAGES_ERROR",
-        message: "Failed to refresh channel messages",
-      });
     }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || HISTORY_PAGE_SIZE, 1),
+      MAX_HISTORY_PAGE_SIZE
+    );
+    const { messages, hasMore } = await getChannelMessages(
+      channelId,
+      userToken,
+      { before, after, limit: pageSize }
+    );
+
+    socket.emit("history-page", {
+      channelId,
+      before,
+      after,
+      messages,
+      hasMore,
+    });
   });
 
   // handle typing indicators
-  socket.on("typing", (data) => {
+  on("typing", "Failed to send typing indicator", async (data) => {
     const { channelId, isTyping } = data;
 
+    socket.to(`channel:${channelId}`).emit("user-typing", {
+      channelId,
+      userId: socket.user.id,
+      userName: socket.user.name,
+      isTyping,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // set online / away / dnd status
+  on("set-status", "Failed to set status", async (data) => {
+    const { status } = data;
+
+    setStatus(socket.user.id, status);
+    broadcastPresence(socket.user.id);
+  });
+
+  // presence lookup for a list of users
+  on("presence-query", "Failed to query presence", async (data) => {
+    const { userIds } = data;
+
+    socket.emit("presence-state", {
+      users: queryPresence(userIds),
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // this socket, as recorded for calls it takes part in
+  const callConnection = { socketId: socket.id, serverId: cluster.serverId };
+
+  // users who may be in a call in the channel or conversation
+  const getCallMembers = ({ channelId, conversationId }) =>
+    channelId
+      ? getChannelMembers(channelId, userToken)
+      : loadDmParticipants(conversationId, userToken);
+
+  // fail unless the user may talk in the channel or conversation of a call
+  const requireCallAccess = async ({ channelId, conversationId }) => {
     if (channelId) {
-      socket.to(`channel:${channelId}`).emit("user-typing", {
-        channelId,
-        userId: socket.user.id,
-        userName: socket.user.name,
-        isTyping,
-        timestamp: new Date().toISOString(),
-      });
+      const role = await getChannelRole(socket.user, channelId, userToken);
+      if (!role || !can(role, "post")) {
+        throw new SocketError(
+          "FORBIDDEN",
+          "You are not allowed to call in this channel"
+        );
+      }
+      return;
+    }
+
+    const participantIds = await loadDmParticipants(conversationId, userToken);
+    if (!participantIds.includes(socket.user.id)) {
+      throw new SocketError(
+        "FORBIDDEN",
+        "You are not a participant of this conversation"
+      );
+    }
+  };
+
+  const requireCall = (callId) => {
+    const call = calls.get(callId);
+    if (!call) {
+      throw new SocketError("NOT_FOUND", "Call not found or already ended");
+    }
+    return call;
+  };
+
+  const isInCall = (call, userId) =>
+    call.participants.some((participant) => participant.userId === userId);
+
+  // start a call in a channel or DM, ringing the given users
+  on("call-start", "Failed to start call", async (data) => {
+    const { channelId, conversationId, media, inviteeIds = [] } = data;
+
+    if (!channelId === !conversationId) {
+      throw new SocketError(
+        "VALIDATION_ERROR",
+        "Either channelId or conversationId is required"
+      );
+    }
+
+    const scope = channelId ? { channelId } : { conversationId };
+    await requireCallAccess(scope);
+
+    const existing = calls.findByScope(scope);
+    if (existing) {
+      throw new SocketError(
+        "VALIDATION_ERROR",
+        "A call is already in progress here",
+        { callId: existing.id }
+      );
+    }
+
+    // DMs ring everyone else, channels only the members asked for
+    const memberIds = await getCallMembers(scope);
+    const invitees = memberIds.filter(
+      (userId) =>
+        userId !== socket.user.id &&
+        (conversationId || inviteeIds.includes(userId))
+    );
+
+    const callId = randomUUID();
+    startCall(callId, scope, media, socket.user.id, callConnection, Date.now());
+    const call = inviteToCall(callId, invitees, Date.now());
+
+    ringUsers(call, invitees, { id: socket.user.id, name: socket.user.name });
+    broadcastCallState(call);
+
+    return { call };
+  });
+
+  // ring more users for a call the user is in
+  on("call-invite", "Failed to invite to call", async (data) => {
+    const { callId, userIds } = data;
+
+    const current = requireCall(callId);
+    if (!isInCall(current, socket.user.id)) {
+      throw new SocketError("FORBIDDEN", "You are not in this call");
+    }
+
+    const memberIds = await getCallMembers(current);
+    const invitees = userIds.filter(
+      (userId) => memberIds.includes(userId) && !isInCall(current, userId)
+    );
+
+    const call = inviteToCall(callId, invitees, Date.now());
+
+    ringUsers(call, invitees, { id: socket.user.id, name: socket.user.name });
+    broadcastCallState(call);
+
+    return { call };
+  });
+
+  // answer a ringing call, or join one in progress from this device
+  on("call-accept", "Failed to join call", async (data) => {
+    const { callId } = data;
+
+    await requireCallAccess(requireCall(callId));
+
+    const call = acceptCall(callId, socket.user.id, callConnection, Date.now());
+    broadcastCallState(call);
+
+    return { call };
+  });
+
+  // turn down a call the user is being rung for
+  on("call-decline", "Failed to decline call", async (data) => {
+    const { callId } = data;
+
+    if (!requireCall(callId).invited.includes(socket.user.id)) {
+      throw new SocketError("VALIDATION_ERROR", "You were not invited");
+    }
+
+    const call = declineCall(callId, socket.user.id, Date.now());
+    broadcastCallState(call, [socket.user.id]);
+
+    return { call };
+  });
+
+  // hang up
+  on("call-leave", "Failed to leave call", async (data) => {
+    const { callId } = data;
+
+    if (!isInCall(requireCall(callId), socket.user.id)) {
+      throw new SocketError("VALIDATION_ERROR", "You are not in this call");
     }
+
+    const call = leaveCall(callId, socket.user.id, Date.now());
+    broadcastCallState(call, [socket.user.id]);
+
+    return { call };
+  });
+
+  // relay WebRTC offers, answers and ICE candidates between the devices of
+  // two participants
+  ["call-offer", "call-answer", "call-ice-candidate"].forEach((event) => {
+    on(event, "Failed to relay call signal", async (data) => {
+      const { callId, toUserId, sdp, candidate } = data;
+
+      requireCall(callId);
+      if (calls.getParticipantSocket(callId, socket.user.id) !== socket.id) {
+        throw new SocketError(
+          "FORBIDDEN",
+          "You are not in this call from this device"
+        );
+      }
+
+      const targetSocketId = calls.getParticipantSocket(callId, toUserId);
+      if (!targetSocketId) {
+        throw new SocketError(
+          "NOT_FOUND",
+          `User ${toUserId} is not in this call`
+        );
+      }
+
+      io.to(targetSocketId).emit(event, {
+        callId,
+        fromUserId: socket.user.id,
+        ...(sdp ? { sdp } : { candidate }),
+      });
+    });
   });
 
   // handle legacy test channel for backward compatibility
-  socket.on("subscribe-to-test", (data) => {
+  on("subscribe-to-test", "Failed to subscribe", async () => {
     socket.join("test-room");
     socket.emit("subscription-confirmed", {
       room: "test-room",
@@ -499,8 +2097,8 @@ io.on("connection", async (socket) => {
     });
   });
 
-  socket.on("test-message", (message) => {
-    console.log("Test message received:", message);
+  on("test-message", "Failed to send test message", async (message) => {
+    logger.debug("Test message received", { message });
 
     io.emit("test-response", {
       ...message,
@@ -517,46 +2115,242 @@ io.on("connection", async (socket) => {
 
   // disconnect handler
   socket.on("disconnect", () => {
-    console.log(`User disconnected: ${socket.user.id}`);
+    logger.info("User disconnected", socketLog);
+
+    tokenTimers.forEach(clearTimeout);
+
+    // hang up the calls this socket was in
+    leaveCallsOfSocket(socket.id, Date.now()).forEach((call) =>
+      broadcastCallState(call, [socket.user.id])
+    );
 
-    // clean up user from all active channels
-    for (const [channelId, users] of activeChannels.entries()) {
-      if (users.has(socket.user.id)) {
-        users.delete(socket.user.id);
+    // channels the user was in, used for the final presence update
+    const userChannels = getUserChannels(socket.user.id);
 
-        // notify channel users
+    // clean up this socket from all active channels
+    for (const channelId of getUserChannels(socket.user.id, socket.id)) {
+      // only notify once the user's last socket has left the channel
+      if (leaveChannel(channelId, socket.user.id, socket.id)) {
         socket.to(`channel:${channelId}`).emit("user-left", {
           channelId,
           userId: socket.user.id,
           timestamp: new Date().toISOString(),
         });
-
-        // remove empty channels
-        if (users.size === 0) {
-          activeChannels.delete(channelId);
-        }
       }
     }
+
+    if (removeConnection(socket.user.id, socket.id)) {
+      broadcastPresence(socket.user.id, userChannels);
+      clearUnread(socket.user.id);
+    }
   });
 });
 
-// health check route
+// health check route, "degraded" while a backend's circuit breaker is not
+// closed (the server still answers, but backend-bound events fail fast)
 app.get("/health", (req, res) => {
+  const backend = getBackendStatus();
+
   res.json({
-    status: "ok",
+    status: backend.degraded ? "degraded" : "ok",
     websocket: io.engine.clientsCount > 0 ? "active" : "inactive",
     clients: io.engine.clientsCount,
-    activeChannels: Array.from(activeChannels.keys()).length,
-    cachedChannels: Array.from(channelMessagesCache.keys()).length,
+    ...getPresenceStats(),
+    cache: {
+      channels: channelCache.getStats(),
+      threads: threadCache.getStats(),
+    },
+    rateLimits: rateLimiter.getStats(),
+    calls: calls.getStats(),
+    outbox: outbox.getStats(),
+    backend: backend.breakers,
+    cluster: {
+      adapter: cluster.mode,
+      serverId: cluster.serverId,
+    },
   });
 });
 
+// metrics read from existing state on every scrape
+createGauge({
+  name: "ws_connected_sockets",
+  help: "Sockets connected to this instance",
+  collect: () => io.of("/").sockets.size,
+});
+createGauge({
+  name: "ws_connected_users",
+  help: "Users with at least one connected socket, across instances",
+  collect: () => getPresenceStats().onlineUsers,
+});
+
+const messageCaches = { channels: channelCache, threads: threadCache };
+const perCache = (pick) =>
+  Object.entries(messageCaches).map(([cache, messageCache]) => ({
+    labels: { cache },
+    value: pick(messageCache.getStats()),
+  }));
+createCounter({
+  name: "ws_message_cache_hits_total",
+  help: "Message cache lookups answered from the cache",
+  labelNames: ["cache"],
+  collect: () => perCache((stats) => stats.hits),
+});
+createCounter({
+  name: "ws_message_cache_misses_total",
+  help: "Message cache lookups that went to the backend",
+  labelNames: ["cache"],
+  collect: () => perCache((stats) => stats.misses),
+});
+createGauge({
+  name: "ws_message_cache_hit_ratio",
+  help: "Share of message cache lookups answered from the cache",
+  labelNames: ["cache"],
+  collect: () => perCache((stats) => stats.hitRatio),
+});
+
+createCounter({
+  name: "ws_rate_limited_events_total",
+  help: "Socket events rejected by the rate limiter",
+  labelNames: ["event"],
+  collect: () =>
+    Object.entries(rateLimiter.getStats().limitedByEvent).map(
+      ([event, value]) => ({ labels: { event }, value })
+    ),
+});
+createCounter({
+  name: "ws_rate_limit_blocks_total",
+  help: "Users blocked for flooding",
+  collect: () => rateLimiter.getStats().blocks,
+});
+
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// events pushed by the Spring Boot backend for changes made through REST
+const internalEventHandlers = {
+  "message-created": ({ message }) => {
+    // messages saved through a socket were broadcast already
+    const cached = channelCache.get(message.channelId);
+    if (
+      (cached && cached.messages.some((msg) => msg.id === message.id)) ||
+      !claimBroadcast(message.id)
+    ) {
+      return;
+    }
+
+    if (message.parentMessageId) {
+      threadCache.invalidate(message.parentMessageId);
+      shareThreadChange(message.parentMessageId);
+      io.to(`thread:${message.parentMessageId}`).emit(
+        "thread-message",
+        message
+      );
+      return;
+    }
+
+    channelCache.append(message.channelId, message);
+    shareCacheChange(message.channelId);
+    broadcastToChannel(message.channelId, "message", message);
+  },
+
+  "message-updated": ({ message }) => {
+    const editedAt = message.updatedAt || new Date().toISOString();
+
+    patchCachedMessage(message.channelId, message.id, {
+      ...message,
+      edited: true,
+      editedAt,
+    });
+    broadcastToChannel(message.channelId, "message-updated", {
+      ...message,
+      edited: true,
+      editedAt,
+    });
+  },
+
+  "message-deleted": ({ messageId, channelId, deletedBy = null }) => {
+    const tombstone = createTombstone(deletedBy);
+
+    patchCachedMessage(channelId, messageId, tombstone);
+    broadcastToChannel(channelId, "message-deleted", {
+      id: messageId,
+      channelId,
+      ...tombstone,
+    });
+  },
+
+  "channel-created": ({ channel }) => {
+    announceChannelChange("channel-created", channel);
+  },
+
+  "channel-updated": ({ channel }) => {
+    broadcastToChannel(channel.id, "channel-updated", {
+      channel,
+      timestamp: new Date().toISOString(),
+    });
+    announceChannelChange("channel-updated", channel);
+  },
+
+  "channel-archived": ({ channel }) => {
+    announceChannelChange("channel-archived", channel);
+  },
+
+  "member-added": ({ channelId, userId }) => {
+    invalidateMembership(channelId, userId);
+    io.to(`user:${userId}`).emit("added-to-channel", {
+      channelId,
+      timestamp: new Date().toISOString(),
+    });
+  },
+
+  "member-removed": ({ channelId, userId }) => {
+    invalidateMembership(channelId, userId);
+    removeUserFromChannel(channelId, userId);
+  },
+
+  "team-member-added": ({ teamId, userId }) => {
+    announceTeamMember("member-added", teamId, userId);
+  },
+
+  "team-member-removed": ({ teamId, userId }) => {
+    announceTeamMember("member-removed", teamId, userId);
+  },
+};
+
+// internal API, only for the Spring Boot backend
+app.post("/internal/events", verifyInternalRequest, (req, res) => {
+  const { type, data } = req.body || {};
+  const handler = internalEventHandlers[type];
+
+  if (!handler) {
+    return res.status(400).json({ error: `Unknown event type: ${type}` });
+  }
+
+  if (!data || typeof data !== "object") {
+    return res.status(400).json({ error: "Event data is required" });
+  }
+
+  try {
+    handler(data);
+    res.status(202).json({ status: "accepted", type });
+  } catch (error) {
+    logger.error("Error handling internal event", { type, error });
+    res.status(400).json({ error: `Invalid ${type} event` });
+  }
+});
+
+// copy presence, unread counters and calls from running instances before
+// taking any socket
+await cluster.syncState();
+
 // start server
 const PORT = process.env.PORT || 8082;
 server.listen(PORT, () => {
-  console.log(`
-  Server running on port ${PORT}
-  WebSocket endpoint: ws://localhost:${PORT}/ws
-  Health check: http://localhost:${PORT}/health
-  `);
+  logger.info("Server running", {
+    port: PORT,
+    websocket: `ws://localhost:${PORT}/ws`,
+    health: `http://localhost:${PORT}/health`,
+  });
 });
@@ -0,0 +1,246 @@
+import { randomUUID } from "crypto";
+import dotenv from "dotenv";
+import { createPubSubAdapter } from "./pubsubAdapter.js";
+import { createRedisBroker } from "./redisBroker.js";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+// network brokers that can be selected with CLUSTER_BROKER
+const BROKERS = {
+  redis: () =>
+    createRedisBroker({
+      url: process.env.REDIS_URL || "redis://localhost:6379",
+    }),
+};
+
+const STATE_CHANNEL = "service-state";
+const HEARTBEAT_INTERVAL_MS = 5 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 15 * 1000;
+
+// how long a starting instance waits for a running one to send its state;
+// the first instance of a cluster always waits this long
+const CLUSTER_SYNC_TIMEOUT_MS =
+  parseInt(process.env.CLUSTER_SYNC_TIMEOUT_MS, 10) || 2 * 1000;
+const CLUSTER_SYNC_RETRY_MS = 250;
+
+/**
+ * Creates the cluster layer of this service instance.
+ *
+ * CLUSTER_ADAPTER=memory (default) keeps everything in-process, which is
+ * all a single instance needs. CLUSTER_ADAPTER=pubsub relays Socket.IO
+ * broadcasts and shared state changes through the broker named by
+ * CLUSTER_BROKER, e.g. "redis" (at REDIS_URL). Instances in one process can
+ * share a createLocalBroker() passed as options.broker; CLUSTER_BROKER=local
+ * is rejected, since it would silently connect nothing across processes.
+ *
+ * Replicated state only travels as changes, so a starting instance copies
+ * what it missed with syncState() before it accepts sockets.
+ *
+ * @param {Object} [options] - Overrides for instances in one process
+ * @param {string} [options.adapter] - "memory" or "pubsub"
+ * @param {Object} [options.broker] - Broker with publish/subscribe
+ * @returns {Object} Cluster with the Socket.IO adapter and a state bus
+ */
+export function createCluster(options = {}) {
+  const mode = options.adapter || process.env.CLUSTER_ADAPTER || "memory";
+  const serverId = randomUUID();
+
+  if (mode === "memory") {
+    return {
+      mode,
+      serverId,
+      // the Socket.IO default in-memory adapter
+      adapter: undefined,
+      publish() {},
+      subscribe() {},
+      replicate: (topic, fn) => fn,
+      shareState() {},
+      syncState: async () => false,
+      onServerDown() {},
+      isLeader: () => true,
+      close() {},
+    };
+  }
+
+  if (mode !== "pubsub") {
+    throw new Error(`Unknown cluster adapter: ${mode}`);
+  }
+
+  const brokerName = process.env.CLUSTER_BROKER;
+  if (!options.broker && brokerName === "local") {
+    throw new Error(
+      "CLUSTER_BROKER=local only connects instances in the same process, pass createLocalBroker() as options.broker instead"
+    );
+  }
+
+  const broker = options.broker || (BROKERS[brokerName] || (() => null))();
+  if (!broker) {
+    throw new Error(
+      brokerName
+        ? `Unknown cluster broker: ${brokerName}`
+        : "CLUSTER_ADAPTER=pubsub needs CLUSTER_BROKER"
+    );
+  }
+
+  const handlers = new Map();
+  const serverDownHandlers = [];
+  // name -> { snapshot, restore } of state copied by starting instances
+  const sharedStates = new Map();
+  // whether this instance has state worth copying
+  let synced = false;
+  // other instances, serverId -> timestamp of their last message
+  const servers = new Map();
+
+  const unsubscribe = broker.subscribe(STATE_CHANNEL, (message) => {
+    if (message.from === serverId) {
+      return;
+    }
+
+    servers.set(message.from, Date.now());
+    (handlers.get(message.topic) || []).forEach((handler) =>
+      handler(message.data, message.from)
+    );
+  });
+
+  const publish = (topic, data) =>
+    broker.publish(STATE_CHANNEL, { from: serverId, topic, data });
+
+  // announce this instance and forget the ones that went quiet
+  const heartbeatTimer = setInterval(() => {
+    publish("heartbeat", null);
+
+    const deadline = Date.now() - HEARTBEAT_TIMEOUT_MS;
+    servers.forEach((lastSeen, id) => {
+      if (lastSeen < deadline) {
+        servers.delete(id);
+        logger.warn("Cluster instance seems down", { serverId: id });
+        serverDownHandlers.forEach((handler) => handler(id));
+      }
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+
+  const subscribe = (topic, handler) => {
+    if (!handlers.has(topic)) {
+      handlers.set(topic, []);
+    }
+    handlers.get(topic).push(handler);
+  };
+
+  // answer starting instances, unless this one is still starting itself
+  subscribe("state:request", (data, from) => {
+    if (!synced) {
+      return;
+    }
+    const states = {};
+    sharedStates.forEach(({ snapshot }, name) => {
+      states[name] = snapshot();
+    });
+    publish("state:snapshot", { to: from, states });
+  });
+
+  return {
+    mode,
+    serverId,
+    adapter: createPubSubAdapter(broker, {
+      heartbeatInterval: HEARTBEAT_INTERVAL_MS,
+      heartbeatTimeout: HEARTBEAT_TIMEOUT_MS,
+    }),
+    publish,
+    subscribe,
+
+    /**
+     * Wraps a state mutation so every instance applies it with the same
+     * arguments, which therefore must be serializable.
+     *
+     * With throttleMs, calls that return a falsy result are only shared
+     * once per window for the same first argument (e.g. a user ID).
+     */
+    replicate(topic, fn, { throttleMs = 0 } = {}) {
+      const lastShared = new Map();
+
+      subscribe(topic, (args) => fn(...args));
+
+      return (...args) => {
+        const result = fn(...args);
+
+        if (throttleMs && !result) {
+          const last = lastShared.get(args[0]) || 0;
+          if (Date.now() - last < throttleMs) {
+            return result;
+          }
+        }
+
+        lastShared.set(args[0], Date.now());
+        publish(topic, args);
+        return result;
+      };
+    },
+
+    /**
+     * Registers state a starting instance copies from a running one:
+     * snapshot() returns it, restore(snapshot) merges it in
+     */
+    shareState(name, { snapshot, restore }) {
+      sharedStates.set(name, { snapshot, restore });
+    },
+
+    /**
+     * Asks the running instances for their shared state and restores the
+     * first answer. Call once, after every shareState().
+     *
+     * @returns {Promise<boolean>} False if nobody answered in time
+     */
+    syncState() {
+      return new Promise((resolve) => {
+        let done = false;
+        const finish = (restored) => {
+          if (!done) {
+            done = true;
+            synced = true;
+            clearTimeout(timer);
+            clearInterval(retryTimer);
+            resolve(restored);
+          }
+        };
+        const timer = setTimeout(() => finish(false), CLUSTER_SYNC_TIMEOUT_MS);
+
+        subscribe("state:snapshot", ({ to, states }, from) => {
+          if (to !== serverId || done) {
+            return;
+          }
+          sharedStates.forEach(({ restore }, name) => {
+            if (states[name]) {
+              restore(states[name]);
+            }
+          });
+          logger.info("Copied cluster state", { from });
+          finish(true);
+        });
+
+        // asked again in case the first request went out before this
+        // instance's own subscription was up
+        publish("state:request", null);
+        const retryTimer = setInterval(
+          () => publish("state:request", null),
+          CLUSTER_SYNC_RETRY_MS
+        );
+      });
+    },
+
+    onServerDown(handler) {
+      serverDownHandlers.push(handler);
+    },
+
+    // the live instance with the lowest ID handles cluster-wide chores
+    isLeader() {
+      return Array.from(servers.keys()).every((id) => serverId < id);
+    },
+
+    close() {
+      clearInterval(heartbeatTimer);
+      unsubscribe();
+    },
+  };
+}
@@ -0,0 +1,48 @@
+import v8 from "v8";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Creates an in-memory pub/sub broker. Every service instance created in
+ * the same process with the same broker behaves like a separate node
+ * sharing a message bus; separate processes never see each other.
+ *
+ * Messages are copied and delivered asynchronously, as a network broker
+ * would, so subscribers never share objects with the publisher.
+ *
+ * @returns {Object} Broker with publish(channel, message) and
+ * subscribe(channel, handler) returning an unsubscribe function
+ */
+export function createLocalBroker() {
+  const subscribers = new Map();
+
+  return {
+    async publish(channel, message) {
+      const handlers = subscribers.get(channel);
+      if (!handlers) {
+        return;
+      }
+
+      const payload = v8.serialize(message);
+      handlers.forEach((handler) => {
+        setImmediate(() => {
+          try {
+            handler(v8.deserialize(payload));
+          } catch (error) {
+            logger.error("Error handling broker message", { channel, error });
+          }
+        });
+      });
+    },
+
+    subscribe(channel, handler) {
+      if (!subscribers.has(channel)) {
+        subscribers.set(channel, new Set());
+      }
+      subscribers.get(channel).add(handler);
+
+      return () => {
+        subscribers.get(channel).delete(handler);
+      };
+    },
+  };
+}
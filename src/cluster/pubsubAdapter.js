@@ -0,0 +1,50 @@
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+/**
+ * Creates a Socket.IO adapter class that relays broadcasts, room changes
+ * and socket lookups to other service instances through a pub/sub broker.
+ *
+ * @param {Object} broker - Broker with publish(channel, message) and subscribe(channel, handler)
+ * @param {Object} [options] - Heartbeat options (heartbeatInterval, heartbeatTimeout)
+ * @returns {Function} Adapter class to pass to the Socket.IO server
+ */
+export function createPubSubAdapter(broker, options = {}) {
+  return class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, options);
+
+      this.channel = `socket.io#${nsp.name}`;
+      this.responseChannel = `socket.io-response#${nsp.name}#${this.uid}`;
+
+      this.unsubscribers = [
+        broker.subscribe(this.channel, (message) => this.onMessage(message)),
+        broker.subscribe(this.responseChannel, (response) =>
+          this.onResponse(response)
+        ),
+      ];
+
+      // announce this node, Socket.IO does not call init() on its own
+      this.init();
+    }
+
+    doPublish(message) {
+      return Promise.resolve(broker.publish(this.channel, message)).then(
+        () => ""
+      );
+    }
+
+    doPublishResponse(requesterUid, response) {
+      return Promise.resolve(
+        broker.publish(
+          `socket.io-response#${this.nsp.name}#${requesterUid}`,
+          response
+        )
+      );
+    }
+
+    close() {
+      super.close();
+      this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }
+  };
+}
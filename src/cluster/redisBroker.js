@@ -0,0 +1,62 @@
+import v8 from "v8";
+import { createClient } from "redis";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Creates a pub/sub broker on a Redis server, connecting service instances
+ * in separate processes or hosts.
+ *
+ * Messages are serialized like those of the local broker, so Maps, Sets
+ * and Buffers (binary Socket.IO packets) arrive intact. Subscriptions use
+ * a second connection, as Redis requires. Both reconnect on their own;
+ * messages published while a connection is down are lost, which the
+ * cluster heartbeats notice like any other missing instance.
+ *
+ * @param {Object} options - Broker settings
+ * @param {string} options.url - Redis URL, e.g. redis://localhost:6379
+ * @returns {Object} Broker with publish(channel, message) and
+ * subscribe(channel, handler) returning an unsubscribe function
+ */
+export function createRedisBroker({ url }) {
+  const publisher = createClient({ url });
+  const subscriber = publisher.duplicate();
+
+  [publisher, subscriber].forEach((client) => {
+    client.on("error", (error) => {
+      logger.error("Redis broker connection error", { error });
+    });
+    // commands are queued until the connection is up
+    client.connect().catch((error) => {
+      logger.error("Error connecting to Redis broker", { error });
+    });
+  });
+
+  return {
+    async publish(channel, message) {
+      await publisher.publish(channel, v8.serialize(message));
+    },
+
+    subscribe(channel, handler) {
+      const listener = (payload) => {
+        try {
+          handler(v8.deserialize(payload));
+        } catch (error) {
+          logger.error("Error handling broker message", { channel, error });
+        }
+      };
+
+      subscriber.subscribe(channel, listener, true).catch((error) => {
+        logger.error("Error subscribing to Redis channel", { channel, error });
+      });
+
+      return () => {
+        subscriber.unsubscribe(channel, listener, true).catch((error) => {
+          logger.error("Error unsubscribing from Redis channel", {
+            channel,
+            error,
+          });
+        });
+      };
+    },
+  };
+}
@@ -1,14 +1,19 @@
+import { logger } from "../utils/logger.js";
+
 // handle websocket connections
 export default (io, apiService) => {
   const activeUsers = new Map();
   const userChannels = new Map();
 
   io.on("connection", (socket) => {
-    console.log(`User connected: ${socket.user.id}`);
+    logger.info("User connected", {
+      socketId: socket.id,
+      userId: socket.user.id,
+    });
     activeUsers.set(socket.user.id, socket);
 
     socket.on("test-message", (message) => {
-      console.log("Test message received:", message);
+      logger.debug("Test message received", { message });
       io.emit("test-response", {
         ...message,
         serverTimestamp: new Date().toISOString(),
@@ -24,7 +29,7 @@ export default (io, apiService) => {
 
     // handle errors
     socket.on("error", (error) => {
-      console.error(`Socket error for user ${socket.user.id}:`, error);
+      logger.error("Socket error", { userId: socket.user.id, error });
     });
 
     // subscribe to channels
@@ -47,9 +52,12 @@ export default (io, apiService) => {
         );
 
         socket.emit("messages", messages);
-        console.log(`User ${socket.user.id} subscribed to ${channelRoom}`);
+        logger.info("Subscribed to channel", {
+          userId: socket.user.id,
+          room: channelRoom,
+        });
       } catch (err) {
-        console.error("Subscription error:", err);
+        logger.error("Subscription error", { error: err });
         socket.emit("error", {
           code: "SUBSCRIBE_ERROR",
           message: err.message,
@@ -80,7 +88,7 @@ export default (io, apiService) => {
           savedMessage
         );
       } catch (err) {
-        console.error("Message error:", err);
+        logger.error("Message error", { error: err });
         socket.emit("error", {
           code: "MESSAGE_ERROR",
           message: err.message,
@@ -100,13 +108,16 @@ export default (io, apiService) => {
           isTyping,
         });
       } catch (err) {
-        console.error("Typing indicator error:", err);
+        logger.error("Typing indicator error", { error: err });
       }
     });
 
     // handle disconnection
     socket.on("disconnect", () => {
-      console.log(`User disconnected: ${socket.user.id}`);
+      logger.info("User disconnected", {
+        socketId: socket.id,
+        userId: socket.user.id,
+      });
       activeUsers.delete(socket.user.id);
       userChannels.delete(socket.user.id);
     });
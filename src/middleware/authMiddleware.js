@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import apiService from "../services/apiService.js";
+import { logger } from "../utils/logger.js";
 
 export const authenticateSocket = async (socket, next) => {
   try {
@@ -8,10 +9,9 @@ export const authenticateSocket = async (socket, next) => {
     if (!token) {
       return next(new Error("Authentication error: No token provided"));
     }
-    console.log("Token in middleware: " + token);
     // Verifică tokenul cu backend-ul Spring Boot
     const isValid = await apiService.validateToken(token);
-    console.log("Is valid: " + isValid);
+    logger.debug("Token checked", { socketId: socket.id, isValid });
     if (!isValid) {
       return next(new Error("Authentication error: Invalid token"));
     }
@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// shared with the Spring Boot backend, internal API is disabled without it
+const INTERNAL_API_SECRET = process.env.INTERNAL_API_SECRET;
+
+// signed requests older than this are rejected to prevent replays
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+/**
+ * Express middleware for the internal API. Accepts either
+ *
+ * - `Authorization: Bearer <INTERNAL_API_SECRET>`, or
+ * - `X-Timestamp: <ms since epoch>` and `X-Signature: sha256=<hex>`, the
+ *   HMAC-SHA256 of "<timestamp>.<raw body>" keyed with INTERNAL_API_SECRET
+ *
+ * Requires express.json() to keep the raw body on req.rawBody.
+ */
+export const verifyInternalRequest = (req, res, next) => {
+  if (!INTERNAL_API_SECRET) {
+    return res.status(503).json({ error: "Internal API is not configured" });
+  }
+
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ")) {
+    if (safeEqual(authorization.slice(7), INTERNAL_API_SECRET)) {
+      return next();
+    }
+    return res.status(401).json({ error: "Invalid internal API secret" });
+  }
+
+  const signature = req.get("x-signature");
+  const timestamp = req.get("x-timestamp");
+  if (!signature || !timestamp) {
+    return res.status(401).json({ error: "Missing internal API credentials" });
+  }
+
+  if (Math.abs(Date.now() - Number(timestamp)) > MAX_SIGNATURE_AGE_MS) {
+    return res.status(401).json({ error: "Signature expired" });
+  }
+
+  const expected = crypto
+    .createHmac("sha256", INTERNAL_API_SECRET)
+    .update(`${timestamp}.${req.rawBody || ""}`)
+    .digest("hex");
+
+  if (!safeEqual(signature, `sha256=${expected}`)) {
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  next();
+};
+
+export default {
+  verifyInternalRequest,
+};
@@ -1,11 +1,125 @@
-import fetch from "node-fetch";
+import fs from "fs";
+import crypto from "crypto";
 import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { createCounter } from "../utils/metrics.js";
+import { createBackendFetch } from "./backendClient.js";
+import { logger } from "../utils/logger.js";
+import { BackendUnavailableError, toSocketError } from "../utils/errors.js";
 
 dotenv.config();
 
+const fetchBackend = createBackendFetch("authService");
+
 const AUTH_SERVICE_URL =
   process.env.AUTH_SERVICE_URL || "http://localhost:8080";
 
+// "remote" asks the auth service, "local" only checks the signature,
+// "both" checks the signature first and then asks the auth service
+const AUTH_STRATEGY = process.env.AUTH_STRATEGY || "remote";
+
+// claims holding the user's ID, display name and roles
+const USER_ID_CLAIM = process.env.JWT_USER_ID_CLAIM || "sub";
+const NAME_CLAIM = process.env.JWT_NAME_CLAIM || "name";
+const ROLES_CLAIM = process.env.JWT_ROLES_CLAIM || "roles";
+
+// remote validation results are reused for this long
+const AUTH_CACHE_TTL_MS =
+  parseInt(process.env.AUTH_CACHE_TTL_MS, 10) || 60 * 1000;
+const AUTH_CACHE_MAX_ENTRIES = 10000;
+
+// sha256 of the token -> { promise, expiresAt }, oldest first
+const validationCache = new Map();
+
+const authFailures = createCounter({
+  name: "ws_auth_failures_total",
+  help: "Rejected tokens at connection or reauthentication",
+  labelNames: ["reason"],
+});
+
+if (!["remote", "local", "both"].includes(AUTH_STRATEGY)) {
+  throw new Error(`Unknown auth strategy: ${AUTH_STRATEGY}`);
+}
+
+// public keys for RS256 tokens, keyed by "kid"
+const loadJwks = (path) => {
+  const { keys = [] } = JSON.parse(fs.readFileSync(path, "utf8"));
+
+  return new Map(
+    keys.map((jwk) => [
+      jwk.kid,
+      crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    ])
+  );
+};
+
+const jwks = process.env.JWT_JWKS_PATH
+  ? loadJwks(process.env.JWT_JWKS_PATH)
+  : null;
+
+if (AUTH_STRATEGY !== "remote" && !jwks && !process.env.JWT_SECRET) {
+  throw new Error(
+    `Auth strategy "${AUTH_STRATEGY}" needs JWT_SECRET or JWT_JWKS_PATH`
+  );
+}
+
+/**
+ * Builds the user of a socket, rejecting incomplete identities
+ *
+ * @param {Object} fields - { id, name, roles }
+ * @returns {Object} { id, name, roles }
+ * @throws {Error} If the ID or name is missing or the roles are malformed
+ */
+const toUser = ({ id, name, roles = [] }) => {
+  if (!id || typeof id !== "string" || !name || typeof name !== "string") {
+    throw new Error("Token is missing the user ID or name");
+  }
+
+  if (!Array.isArray(roles) || roles.some((role) => typeof role !== "string")) {
+    throw new Error("Token roles must be a list of strings");
+  }
+
+  return { id, name, roles };
+};
+
+// the auth service timed out, could not be reached or its breaker is open
+const isUnavailable = (error) =>
+  error instanceof BackendUnavailableError || error.name === "FetchError";
+
+/**
+ * Verifies the signature and expiry of a token without calling the auth
+ * service, with the HS256 secret (JWT_SECRET) or RS256 keys (JWT_JWKS_PATH)
+ *
+ * @param {string} token - JWT token to verify
+ * @returns {Object} User data if the token is valid
+ * @throws {Error} If the token is invalid
+ */
+function verifyTokenLocally(token) {
+  let key = process.env.JWT_SECRET;
+  let algorithms = ["HS256"];
+
+  if (jwks) {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded && decoded.header.kid;
+
+    // a single key may be used without a "kid"
+    key = jwks.get(kid) || (jwks.size === 1 ? [...jwks.values()][0] : null);
+    algorithms = ["RS256"];
+
+    if (!key) {
+      throw new Error(`Unknown signing key: ${kid}`);
+    }
+  }
+
+  const claims = jwt.verify(token, key, { algorithms });
+
+  return toUser({
+    id: claims[USER_ID_CLAIM],
+    name: claims[NAME_CLAIM],
+    roles: claims[ROLES_CLAIM],
+  });
+}
+
 /**
  * Validates a token with the Spring Boot auth service
  *
@@ -13,37 +127,111 @@ const AUTH_SERVICE_URL =
  * @returns {Promise<Object>} User data if token is valid
  * @throws {Error} If token is invalid
  */
-export async function validateToken(token) {
-  try {
-    const response = await fetch(`${AUTH_SERVICE_URL}/api/auth/validate`, {
+async function validateTokenRemotely(token) {
+  const response = await fetchBackend(
+    "validateTokenRemotely",
+    `${AUTH_SERVICE_URL}/api/auth/validate`,
+    {
       method: "GET",
       headers: {
         Authorization: `Bearer ${token}`,
       },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Auth service responded with status: ${response.status}`);
     }
+  );
 
-    const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Auth service responded with status: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  if (!data.valid) {
+    throw new Error(`Token validation failed: ${data.message}`);
+  }
+
+  return toUser({ id: data.userId, name: data.username, roles: data.roles });
+}
 
-    if (!data.valid) {
-      throw new Error(`Token validation failed: ${data.message}`);
+/**
+ * Validates a token with the auth service, reusing recent results. Parallel
+ * validations of the same token share one request.
+ *
+ * @param {string} token - JWT token to validate
+ * @returns {Promise<Object>} User data if token is valid
+ * @throws {Error} If token is invalid
+ */
+function validateTokenCached(token) {
+  const key = crypto.createHash("sha256").update(token).digest("hex");
+  const now = Date.now();
+  const cached = validationCache.get(key);
+
+  if (cached && cached.expiresAt > now) {
+    return cached.promise;
+  }
+
+  // never reuse a result past the token's own expiry
+  const expiresAt = Math.min(
+    now + AUTH_CACHE_TTL_MS,
+    getTokenExpiry(token) || Infinity
+  );
+  const promise = validateTokenRemotely(token).catch((error) => {
+    validationCache.delete(key);
+    throw error;
+  });
+
+  validationCache.delete(key);
+  validationCache.set(key, { promise, expiresAt });
+  if (validationCache.size > AUTH_CACHE_MAX_ENTRIES) {
+    validationCache.delete(validationCache.keys().next().value);
+  }
+
+  return promise;
+}
+
+/**
+ * Validates a token with the configured AUTH_STRATEGY
+ *
+ * @param {string} token - JWT token to validate
+ * @returns {Promise<Object>} { id, name, roles } if token is valid
+ * @throws {Error} If token is invalid, or the auth service's own error if
+ * it can't be reached
+ */
+export async function validateToken(token) {
+  try {
+    if (AUTH_STRATEGY === "local") {
+      return verifyTokenLocally(token);
+    }
+
+    if (AUTH_STRATEGY === "both") {
+      verifyTokenLocally(token);
     }
 
-    // Here you could fetch additional user info from your auth service
-    // For now returning a simple user object
-    return {
-      id: data.userId || "user-id", // Ideally your validate endpoint should return userId
-      name: data.username || "User Name",
-    };
+    return await validateTokenCached(token);
   } catch (error) {
-    console.error("Token validation error:", error);
+    // an unreachable auth service says nothing about the token
+    if (isUnavailable(error)) {
+      logger.error("Auth service unavailable", { error });
+      throw error;
+    }
+
+    authFailures.inc({ reason: "invalid_token" });
+    logger.error("Token validation error", { error });
     throw new Error(`Authentication error: ${error.message}`);
   }
 }
 
+/**
+ * Reads the expiry time of a JWT
+ *
+ * @param {string} token - JWT token
+ * @returns {number|null} Expiry in ms since epoch, null if the token has none
+ */
+export function getTokenExpiry(token) {
+  const decoded = jwt.decode(token);
+
+  return decoded && typeof decoded.exp === "number" ? decoded.exp * 1000 : null;
+}
+
 /**
  * Socket.IO authentication middleware
  */
@@ -51,6 +239,7 @@ export function authenticateSocket(socket, next) {
   const token = socket.handshake.auth.token;
 
   if (!token) {
+    authFailures.inc({ reason: "missing_token" });
     return next(new Error("Authentication error: No token provided"));
   }
 
@@ -60,6 +249,13 @@ export function authenticateSocket(socket, next) {
       next();
     })
     .catch((error) => {
-      next(new Error(error.message));
+      if (!isUnavailable(error)) {
+        return next(new Error(error.message));
+      }
+
+      // tells clients to retry later instead of asking for a new token
+      const authError = new Error(`Authentication error: ${error.message}`);
+      authError.data = toSocketError(error).toJSON();
+      next(authError);
     });
 }
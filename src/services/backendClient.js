@@ -0,0 +1,204 @@
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+import { createGauge, observeBackendCall } from "../utils/metrics.js";
+import { getLogContext, logger } from "../utils/logger.js";
+import { BackendUnavailableError } from "../utils/errors.js";
+import { createCircuitBreaker } from "./circuitBreaker.js";
+
+dotenv.config();
+
+// how long one attempt may wait for a response
+const BACKEND_TIMEOUT_MS =
+  parseInt(process.env.BACKEND_TIMEOUT_MS, 10) || 5 * 1000;
+
+// extra attempts for idempotent requests, 0 disables retries
+const BACKEND_MAX_RETRIES =
+  process.env.BACKEND_MAX_RETRIES === undefined
+    ? 2
+    : parseInt(process.env.BACKEND_MAX_RETRIES, 10);
+
+// first retry delay, doubled for every further retry
+const BACKEND_RETRY_BASE_MS =
+  parseInt(process.env.BACKEND_RETRY_BASE_MS, 10) || 100;
+const BACKEND_RETRY_MAX_MS = 2 * 1000;
+
+// failures in a row before requests to a backend fail fast, and for how long
+const BACKEND_BREAKER_THRESHOLD =
+  parseInt(process.env.BACKEND_BREAKER_THRESHOLD, 10) || 5;
+const BACKEND_BREAKER_RESET_MS =
+  parseInt(process.env.BACKEND_BREAKER_RESET_MS, 10) || 30 * 1000;
+
+// methods that are safe to send twice
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// answers from a backend that is down or overloaded, as opposed to one
+// rejecting the request
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+// origin (API service, auth service) -> circuit breaker
+const breakers = new Map();
+
+const BREAKER_STATES = { closed: 0, "half-open": 1, open: 2 };
+
+createGauge({
+  name: "ws_backend_circuit_state",
+  help: "Circuit breaker per backend: 0 closed, 1 half-open, 2 open",
+  labelNames: ["target"],
+  collect: () =>
+    Array.from(breakers.entries()).map(([target, breaker]) => ({
+      labels: { target },
+      value: BREAKER_STATES[breaker.getState()],
+    })),
+});
+
+const breakerFor = (origin) => {
+  if (!breakers.has(origin)) {
+    breakers.set(
+      origin,
+      createCircuitBreaker({
+        failureThreshold: BACKEND_BREAKER_THRESHOLD,
+        resetTimeoutMs: BACKEND_BREAKER_RESET_MS,
+      })
+    );
+  }
+  return breakers.get(origin);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// a random delay up to the exponential backoff ("full jitter"), so retrying
+// sockets don't hit a recovering backend at the same moment
+const backoff = (retry) =>
+  Math.random() *
+  Math.min(BACKEND_RETRY_MAX_MS, BACKEND_RETRY_BASE_MS * 2 ** retry);
+
+// one attempt, aborted if the response takes longer than timeoutMs
+const send = async (url, options, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new BackendUnavailableError(
+        `Request timed out after ${timeoutMs}ms`
+      );
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Creates the fetch a service module uses for the backend and auth service.
+ *
+ * Every attempt times out after BACKEND_TIMEOUT_MS (options.timeoutMs
+ * overrides it). Idempotent requests (GET, PUT, DELETE, or
+ * options.idempotent) that time out, can't connect or get a 502/503/504 are
+ * retried up to BACKEND_MAX_RETRIES times with jittered exponential backoff.
+ * Those failures also count towards the circuit breaker of the backend;
+ * while it is open requests fail at once. When no attempt succeeds a
+ * BackendUnavailableError (or node-fetch FetchError) is thrown, which
+ * clients see as BACKEND_UNAVAILABLE. Other responses are returned as they
+ * are.
+ *
+ * Requests are timed per operation for /metrics and carry the correlation ID
+ * of the current log context in X-Correlation-ID.
+ *
+ * @param {string} service - Name of the service module, e.g. "messageService"
+ * @returns {Function} (operation, url, options) => Promise of the response
+ */
+export function createBackendFetch(service) {
+  return async (operation, url, options = {}) => {
+    const {
+      timeoutMs = BACKEND_TIMEOUT_MS,
+      idempotent,
+      ...fetchOptions
+    } = options;
+    const method = (fetchOptions.method || "GET").toUpperCase();
+    const retries = (
+      idempotent === undefined
+        ? IDEMPOTENT_METHODS.includes(method)
+        : idempotent
+    )
+      ? BACKEND_MAX_RETRIES
+      : 0;
+
+    const { origin } = new URL(url);
+    const breaker = breakerFor(origin);
+
+    const { correlationId } = getLogContext();
+    const headers = correlationId
+      ? { ...fetchOptions.headers, "X-Correlation-ID": correlationId }
+      : fetchOptions.headers;
+
+    for (let retry = 0; ; retry++) {
+      const { allowed, retryAfterMs } = breaker.tryAcquire();
+      if (!allowed) {
+        throw new BackendUnavailableError(`${origin} is unavailable`, {
+          retryAfterMs,
+        });
+      }
+
+      let failure;
+      try {
+        const response = await observeBackendCall(service, operation, () =>
+          send(url, { ...fetchOptions, headers }, timeoutMs)
+        );
+
+        if (!UNAVAILABLE_STATUSES.includes(response.status)) {
+          breaker.recordSuccess();
+          return response;
+        }
+        failure = new BackendUnavailableError(
+          `Backend responded with status: ${response.status}`
+        );
+      } catch (error) {
+        // anything but a timeout or network failure is not the backend's fault
+        if (
+          !(error instanceof BackendUnavailableError) &&
+          error.name !== "FetchError"
+        ) {
+          throw error;
+        }
+        failure = error;
+      }
+
+      breaker.recordFailure();
+      if (retry >= retries) {
+        throw failure;
+      }
+
+      const delayMs = Math.round(backoff(retry));
+      logger.warn("Retrying backend request", {
+        service,
+        operation,
+        retry: retry + 1,
+        delayMs,
+        error: failure,
+      });
+      await sleep(delayMs);
+    }
+  };
+}
+
+/**
+ * Reports the circuit breaker of every backend contacted so far
+ *
+ * @returns {Object} { degraded, breakers: { [origin]: breaker stats } }
+ */
+export function getBackendStatus() {
+  const stats = Object.fromEntries(
+    Array.from(breakers.entries()).map(([origin, breaker]) => [
+      origin,
+      breaker.getStats(),
+    ])
+  );
+
+  return {
+    degraded: Object.values(stats).some(({ state }) => state !== "closed"),
+    breakers: stats,
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * Creates the registry of audio/video calls in channels and DMs.
+ *
+ * A call starts with its caller as the only participant and becomes
+ * "active" once a second participant accepts. A DM call is "ringing" until
+ * then and "ended" as soon as fewer than two people are in it or being rung,
+ * including right after start if nobody could be rung. A channel call is
+ * "open" until then, since any member may join it: it ends once its last
+ * participant leaves, and once active like a DM call. Invites that stay
+ * unanswered for ringTimeoutMs are dropped by expireInvites. Each channel or
+ * conversation has at most one live call; ended calls are forgotten right
+ * away.
+ *
+ * Every change takes its timestamp as an argument so instances sharing the
+ * registry through the cluster apply exactly the same change.
+ *
+ * @param {Object} options - Registry settings
+ * @param {number} options.ringTimeoutMs - How long an invite rings
+ * @returns {Object} Call registry
+ */
+export function createCallRegistry({ ringTimeoutMs }) {
+  // callId -> { id, channelId, conversationId, media, state, startedBy,
+  //   startedAt, answeredAt, participants, invited }
+  const calls = new Map();
+  // "channel:<id>" or "dm:<id>" -> callId of the live call there
+  const callsByScope = new Map();
+  const stats = { started: 0, answered: 0, ended: 0, missedInvites: 0 };
+
+  const scopeKey = ({ channelId, conversationId }) =>
+    channelId ? `channel:${channelId}` : `dm:${conversationId}`;
+
+  // what clients see of a call, without socket and server IDs
+  const toView = (call) => ({
+    id: call.id,
+    channelId: call.channelId,
+    conversationId: call.conversationId,
+    media: call.media,
+    state: call.state,
+    startedBy: call.startedBy,
+    startedAt: call.startedAt,
+    answeredAt: call.answeredAt,
+    endedAt: call.endedAt,
+    endReason: call.endReason,
+    participants: Array.from(call.participants.values()).map(
+      ({ userId, joinedAt }) => ({ userId, joinedAt })
+    ),
+    invited: Array.from(call.invited.keys()),
+  });
+
+  // end a call nobody could talk in anymore
+  const settle = (call, now, reason) => {
+    if (
+      call.participants.size > 0 &&
+      (call.state === "open" || call.participants.size + call.invited.size >= 2)
+    ) {
+      return;
+    }
+
+    call.state = "ended";
+    call.endedAt = new Date(now).toISOString();
+    call.endReason = reason;
+    calls.delete(call.id);
+    callsByScope.delete(scopeKey(call));
+    stats.ended++;
+  };
+
+  // drop a participant and end the call if that leaves it empty
+  const removeParticipant = (call, userId, now) => {
+    call.participants.delete(userId);
+    settle(call, now, call.state === "active" ? "completed" : "cancelled");
+  };
+
+  return {
+    /**
+     * Starts a call with the caller as its first participant
+     *
+     * @param {string} callId - New unique call ID
+     * @param {Object} scope - { channelId } or { conversationId }
+     * @param {string} media - "audio" or "video"
+     * @param {string} userId - The caller
+     * @param {Object} connection - { socketId, serverId } of the caller
+     * @param {number} now - Time of the change (ms since epoch)
+     * @returns {Object} The call
+     */
+    start(callId, scope, media, userId, { socketId, serverId }, now) {
+      const call = {
+        id: callId,
+        channelId: scope.channelId || null,
+        conversationId: scope.conversationId || null,
+        media,
+        state: scope.channelId ? "open" : "ringing",
+        startedBy: userId,
+        startedAt: new Date(now).toISOString(),
+        answeredAt: null,
+        endedAt: null,
+        endReason: null,
+        // userId -> { userId, socketId, serverId, joinedAt }
+        participants: new Map([
+          [
+            userId,
+            {
+              userId,
+              socketId,
+              serverId,
+              joinedAt: new Date(now).toISOString(),
+            },
+          ],
+        ]),
+        // userId -> invited at (ms since epoch)
+        invited: new Map(),
+      };
+
+      calls.set(callId, call);
+      callsByScope.set(scopeKey(call), callId);
+      stats.started++;
+
+      return toView(call);
+    },
+
+    /**
+     * Rings users who are not in the call yet, ending a DM call that has
+     * nobody left to ring
+     *
+     * @returns {Object|null} The call (possibly ended), null if it doesn't exist
+     */
+    invite(callId, userIds, now) {
+      const call = calls.get(callId);
+      if (!call) {
+        return null;
+      }
+
+      userIds
+        .filter((userId) => !call.participants.has(userId))
+        .forEach((userId) => call.invited.set(userId, now));
+      settle(call, now, "cancelled");
+
+      return toView(call);
+    },
+
+    /**
+     * Adds a user to the call from one of their sockets, whether they were
+     * rung or join on their own
+     *
+     * @returns {Object|null} The call, null if it doesn't exist
+     */
+    accept(callId, userId, { socketId, serverId }, now) {
+      const call = calls.get(callId);
+      if (!call) {
+        return null;
+      }
+
+      call.invited.delete(userId);
+      call.participants.set(userId, {
+        userId,
+        socketId,
+        serverId,
+        joinedAt: new Date(now).toISOString(),
+      });
+
+      if (call.state !== "active" && call.participants.size >= 2) {
+        call.state = "active";
+        call.answeredAt = new Date(now).toISOString();
+        stats.answered++;
+      }
+
+      return toView(call);
+    },
+
+    /**
+     * Stops ringing a user who turned the call down
+     *
+     * @returns {Object|null} The call (possibly ended), null if it doesn't exist
+     */
+    decline(callId, userId, now) {
+      const call = calls.get(callId);
+      if (!call) {
+        return null;
+      }
+
+      call.invited.delete(userId);
+      settle(call, now, "declined");
+
+      return toView(call);
+    },
+
+    /**
+     * Removes a participant from the call
+     *
+     * @returns {Object|null} The call (possibly ended), null if it doesn't exist
+     */
+    leave(callId, userId, now) {
+      const call = calls.get(callId);
+      if (!call) {
+        return null;
+      }
+
+      removeParticipant(call, userId, now);
+
+      return toView(call);
+    },
+
+    /**
+     * Removes a disconnected socket from every call it was in
+     *
+     * @returns {Array<Object>} The calls it left
+     */
+    leaveSocket(socketId, now) {
+      return Array.from(calls.values())
+        .filter((call) =>
+          Array.from(call.participants.values()).some(
+            (participant) => participant.socketId === socketId
+          )
+        )
+        .map((call) => {
+          const { userId } = Array.from(call.participants.values()).find(
+            (participant) => participant.socketId === socketId
+          );
+          removeParticipant(call, userId, now);
+          return toView(call);
+        });
+    },
+
+    /**
+     * Removes the participants connected to an instance that went down
+     *
+     * @returns {Array<Object>} The calls that lost participants
+     */
+    leaveServer(serverId, now) {
+      return Array.from(calls.values())
+        .filter((call) =>
+          Array.from(call.participants.values()).some(
+            (participant) => participant.serverId === serverId
+          )
+        )
+        .map((call) => {
+          Array.from(call.participants.values())
+            .filter((participant) => participant.serverId === serverId)
+            .forEach(({ userId }) => call.participants.delete(userId));
+          settle(call, now, "completed");
+          return toView(call);
+        });
+    },
+
+    /**
+     * Drops invites that rang for longer than ringTimeoutMs
+     *
+     * @returns {Array<Object>} { call, userIds } per call that lost invites
+     */
+    expireInvites(now) {
+      const expired = [];
+
+      for (const call of Array.from(calls.values())) {
+        const userIds = Array.from(call.invited.entries())
+          .filter(([, invitedAt]) => now - invitedAt >= ringTimeoutMs)
+          .map(([userId]) => userId);
+
+        if (userIds.length > 0) {
+          userIds.forEach((userId) => call.invited.delete(userId));
+          stats.missedInvites += userIds.length;
+          settle(call, now, "missed");
+          expired.push({ call: toView(call), userIds });
+        }
+      }
+
+      return expired;
+    },
+
+    /**
+     * @returns {Object|null} The call, null if it doesn't exist
+     */
+    get(callId) {
+      const call = calls.get(callId);
+      return call ? toView(call) : null;
+    },
+
+    /**
+     * @param {Object} scope - { channelId } or { conversationId }
+     * @returns {Object|null} The live call of a channel or conversation
+     */
+    findByScope(scope) {
+      const callId = callsByScope.get(scopeKey(scope));
+      return callId ? toView(calls.get(callId)) : null;
+    },
+
+    /**
+     * @returns {string|null} The socket a participant joined the call from
+     */
+    getParticipantSocket(callId, userId) {
+      const call = calls.get(callId);
+      const participant = call && call.participants.get(userId);
+      return participant ? participant.socketId : null;
+    },
+
+    /**
+     * Returns every live call, for an instance joining the cluster. It is
+     * live, the broker copies it right away.
+     *
+     * @returns {Map} Snapshot for restore
+     */
+    snapshot() {
+      return calls;
+    },
+
+    /**
+     * Fills in live calls from another instance's snapshot, keeping calls
+     * already known here and never a second call in one scope
+     *
+     * @param {Map} snapshot - From snapshot()
+     */
+    restore(snapshot) {
+      snapshot.forEach((call, callId) => {
+        if (calls.has(callId) || callsByScope.has(scopeKey(call))) {
+          return;
+        }
+        calls.set(callId, call);
+        callsByScope.set(scopeKey(call), callId);
+      });
+    },
+
+    getStats() {
+      return { ...stats, live: calls.size };
+    },
+  };
+}
@@ -0,0 +1,313 @@
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { createBackendFetch } from "./backendClient.js";
+import { logger } from "../utils/logger.js";
+import { SocketError } from "../utils/errors.js";
+import { createTtlCache } from "./ttlCache.js";
+
+dotenv.config();
+
+const fetchBackend = createBackendFetch("channelService");
+
+const API_SERVICE_URL = process.env.API_SERVICE_URL || "http://localhost:8080";
+
+// how long a membership answer is trusted before asking the backend again
+const MEMBERSHIP_CACHE_TTL_MS =
+  parseInt(process.env.MEMBERSHIP_CACHE_TTL_MS, 10) || 30 * 1000;
+
+// cached answers kept per cache; channel IDs come from clients, so a made-up
+// one must not stay in memory for good
+const MEMBERSHIP_CACHE_MAX_ENTRIES =
+  parseInt(process.env.MEMBERSHIP_CACHE_MAX_ENTRIES, 10) || 10000;
+
+// cache for membership checks, keyed by "channelId:userId"
+const membershipCache = createTtlCache({
+  ttlMs: MEMBERSHIP_CACHE_TTL_MS,
+  maxEntries: MEMBERSHIP_CACHE_MAX_ENTRIES,
+});
+// cache for channel member lists, keyed by channel ID
+const membersCache = createTtlCache({
+  ttlMs: MEMBERSHIP_CACHE_TTL_MS,
+  maxEntries: MEMBERSHIP_CACHE_MAX_ENTRIES,
+});
+
+const membershipKey = (channelId, userId) => `${channelId}:${userId}`;
+
+// whether the token belongs to the user whose membership is looked up
+const isOwnToken = (token, userId) => {
+  const decodedToken = jwt.decode(token) || {};
+  return (decodedToken.userId || decodedToken.sub) === userId;
+};
+
+/**
+ * Fetches a user's membership record in a channel from the backend.
+ * Answers are cached for MEMBERSHIP_CACHE_TTL_MS.
+ *
+ * A 403 for a user's own lookup means they are not a member. For a lookup
+ * of someone else it only means the token's owner may not ask, so it fails
+ * with FORBIDDEN.
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} userId - The UUID of the user
+ * @param {string} token - JWT token for authentication
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.cache] - false to neither read nor store a
+ * cached answer, for lookups made with someone else's token
+ * @returns {Promise<Object|null>} The membership (e.g. { role }), or null
+ * if the user is not a member
+ */
+export async function getChannelMembership(
+  channelId,
+  userId,
+  token,
+  { cache = true } = {}
+) {
+  const key = membershipKey(channelId, userId);
+
+  if (cache && membershipCache.has(key)) {
+    return membershipCache.get(key);
+  }
+
+  try {
+    const response = await fetchBackend(
+      "getChannelMembership",
+      `${API_SERVICE_URL}/api/channels/${channelId}/members/${userId}`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (response.status === 403 && !isOwnToken(token, userId)) {
+      throw new SocketError(
+        "FORBIDDEN",
+        "You may not check this user's channel membership"
+      );
+    }
+
+    // 403/404 mean "not a member", anything else unexpected is an error
+    if (!response.ok && response.status !== 403 && response.status !== 404) {
+      throw new Error(`Failed to check membership: ${response.status}`);
+    }
+
+    // the body is optional, an empty answer still means "member"
+    const membership = response.ok
+      ? (await response.json().catch(() => null)) || {}
+      : null;
+    if (cache) {
+      membershipCache.set(key, membership);
+    }
+
+    return membership;
+  } catch (error) {
+    logger.error("Error checking channel membership", {
+      userId,
+      channelId,
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Checks with the backend whether a user is a member of a channel
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} userId - The UUID of the user
+ * @param {string} token - JWT token for authentication
+ * @param {Object} [options] - See getChannelMembership
+ * @returns {Promise<boolean>} True if the user belongs to the channel
+ */
+export async function isChannelMember(channelId, userId, token, options) {
+  return (
+    (await getChannelMembership(channelId, userId, token, options)) !== null
+  );
+}
+
+/**
+ * Drops cached membership answers after a membership change.
+ * Without a userId every cached answer for the channel is dropped.
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} [userId] - The UUID of the user
+ */
+export function invalidateMembership(channelId, userId) {
+  membersCache.delete(channelId);
+
+  if (userId) {
+    membershipCache.delete(membershipKey(channelId, userId));
+    return;
+  }
+
+  membershipCache.deletePrefix(`${channelId}:`);
+}
+
+/**
+ * Fetches a channel, e.g. to learn its team and name
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Object|null>} Channel data, or null if it doesn't exist
+ */
+export async function getChannel(channelId, token) {
+  try {
+    const response = await fetchBackend(
+      "getChannel",
+      `${API_SERVICE_URL}/api/channels/${channelId}`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch channel: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error fetching channel", { channelId, error });
+    throw error;
+  }
+}
+
+/**
+ * Fetches all members of a channel with their display names.
+ * Lists are cached for MEMBERSHIP_CACHE_TTL_MS.
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Array<Object>>} Members as { id, name }, name may be null
+ */
+export async function getChannelMemberList(channelId, token) {
+  const cached = membersCache.get(channelId);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetchBackend(
+      "getChannelMemberList",
+      `${API_SERVICE_URL}/api/channels/${channelId}/members`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch channel members: ${response.status}`);
+    }
+
+    // the backend may list plain IDs or member objects
+    const members = (await response.json()).map((member) =>
+      typeof member === "string"
+        ? { id: member, name: null }
+        : {
+            id: member.userId || member.id,
+            name: member.username || member.name || null,
+          }
+    );
+    membersCache.set(channelId, members);
+
+    return members;
+  } catch (error) {
+    logger.error("Error fetching channel members", { channelId, error });
+    throw error;
+  }
+}
+
+/**
+ * Fetches the IDs of all members of a channel
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Array<string>>} Member user IDs
+ */
+export async function getChannelMembers(channelId, token) {
+  return (await getChannelMemberList(channelId, token)).map(
+    (member) => member.id
+  );
+}
+
+/**
+ * Saves a user's read position in a channel
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} userId - The UUID of the user
+ * @param {string} messageId - The UUID of the last message read
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<void>}
+ */
+export async function markChannelRead(channelId, userId, messageId, token) {
+  try {
+    const response = await fetchBackend(
+      "markChannelRead",
+      `${API_SERVICE_URL}/api/channels/${channelId}/read-position`,
+      {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          user_id: userId,
+          last_read_message_id: messageId,
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to save read position: ${response.status}`);
+    }
+  } catch (error) {
+    logger.error("Error saving read position", { userId, channelId, error });
+    throw error;
+  }
+}
+
+/**
+ * Fetches unread and mention counts for every channel of a user
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Array>} [{ channelId, unreadCount, mentionCount, lastReadMessageId }]
+ */
+export async function getUnreadSummary(userId, token) {
+  try {
+    const response = await fetchBackend(
+      "getUnreadSummary",
+      `${API_SERVICE_URL}/api/users/${userId}/unread`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch unread summary: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error fetching unread summary", { userId, error });
+    throw error;
+  }
+}
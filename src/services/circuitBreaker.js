@@ -0,0 +1,83 @@
+/**
+ * Creates a circuit breaker for one remote service.
+ *
+ * The breaker starts "closed" and lets every request through. After
+ * failureThreshold failures in a row it "opens" and rejects requests for
+ * resetTimeoutMs, then turns "half-open" and lets a single trial request
+ * through: success closes the breaker, failure opens it again.
+ *
+ * @param {Object} options - Breaker settings
+ * @param {number} options.failureThreshold - Failures in a row before opening
+ * @param {number} options.resetTimeoutMs - How long the breaker stays open
+ * @returns {Object} Circuit breaker
+ */
+export function createCircuitBreaker({ failureThreshold, resetTimeoutMs }) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  // a half-open breaker only lets one trial request through at a time
+  let trialInFlight = false;
+  const stats = { rejected: 0, opened: 0 };
+
+  const open = () => {
+    state = "open";
+    openedAt = Date.now();
+    trialInFlight = false;
+    stats.opened++;
+  };
+
+  return {
+    /**
+     * Asks whether a request may be sent now
+     *
+     * @returns {Object} { allowed, retryAfterMs }
+     */
+    tryAcquire() {
+      if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) {
+        state = "half-open";
+      }
+
+      if (state === "closed") {
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      if (state === "half-open" && !trialInFlight) {
+        trialInFlight = true;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      stats.rejected++;
+      return {
+        allowed: false,
+        retryAfterMs: Math.max(openedAt + resetTimeoutMs - Date.now(), 0),
+      };
+    },
+
+    recordSuccess() {
+      state = "closed";
+      failures = 0;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      failures++;
+
+      if (state === "half-open" || failures >= failureThreshold) {
+        open();
+      }
+    },
+
+    getState() {
+      return state;
+    },
+
+    getStats() {
+      return {
+        state,
+        failures,
+        openedAt: state === "closed" ? null : new Date(openedAt).toISOString(),
+        ...stats,
+      };
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Creates a bounded per-channel log of broadcast events, used to replay
+ * what a client missed while its connection was down.
+ *
+ * Sequence numbers of a channel start at the time its log is created (in
+ * ms) and grow by one per event, so they keep increasing when a log is
+ * evicted or the service restarts. A client whose last seen sequence is
+ * older than the oldest logged event has to resync instead.
+ *
+ * Numbers are only ordered within one log: separate instances can give
+ * the same number to different events, so replay needs a single instance.
+ *
+ * @param {Object} options - Log limits
+ * @param {number} options.maxEvents - Events kept per channel
+ * @param {number} options.maxChannels - Channels with a log
+ * @returns {Object} Event log
+ */
+export function createEventLog({ maxEvents, maxChannels }) {
+  // channelId -> { events: [{ seq, event, payload }], nextSeq }
+  const logs = new Map();
+
+  const getLog = (channelId) => {
+    if (!logs.has(channelId)) {
+      logs.set(channelId, { events: [], nextSeq: Date.now() });
+
+      // forget the least recently written channel
+      if (logs.size > maxChannels) {
+        logs.delete(logs.keys().next().value);
+      }
+    }
+
+    return logs.get(channelId);
+  };
+
+  return {
+    /**
+     * @returns {number} The sequence number the next event will get
+     */
+    nextSeq(channelId) {
+      return getLog(channelId).nextSeq;
+    },
+
+    /**
+     * @returns {number} The sequence number of the last event, if any
+     */
+    latest(channelId) {
+      return getLog(channelId).nextSeq - 1;
+    },
+
+    /**
+     * Records an event under the given sequence number
+     */
+    record(channelId, seq, event, payload) {
+      const log = getLog(channelId);
+
+      // keep the log in write order for eviction
+      logs.delete(channelId);
+      logs.set(channelId, log);
+
+      log.events.push({ seq, event, payload });
+      log.nextSeq = Math.max(log.nextSeq, seq + 1);
+
+      if (log.events.length > maxEvents) {
+        log.events.splice(0, log.events.length - maxEvents);
+      }
+    },
+
+    /**
+     * Returns the events after lastSeq, or null if some of them are no
+     * longer in the log and the client has to resync
+     *
+     * @returns {Array|null} [{ seq, event, payload }] oldest first
+     */
+    since(channelId, lastSeq) {
+      const log = getLog(channelId);
+      const oldestSeq = log.events.length ? log.events[0].seq : log.nextSeq;
+
+      if (lastSeq >= log.nextSeq || lastSeq + 1 < oldestSeq) {
+        return null;
+      }
+
+      return log.events.filter((entry) => entry.seq > lastSeq);
+    },
+  };
+}
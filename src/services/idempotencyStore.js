@@ -0,0 +1,88 @@
+/**
+ * Creates a store of recent results keyed by a client supplied ID, so a
+ * request retried within ttlMs returns the original result instead of
+ * running twice.
+ *
+ * A request still in flight is shared with its retries. Failed requests
+ * are forgotten so the client can retry them. When there are more than
+ * maxEntries entries the oldest ones are dropped.
+ *
+ * @param {Object} options - Store limits
+ * @param {number} options.ttlMs - How long a result is remembered
+ * @param {number} options.maxEntries - Maximum number of entries
+ * @returns {Object} Idempotency store
+ */
+export function createIdempotencyStore({ ttlMs, maxEntries }) {
+  // key -> { promise, expiresAt }, oldest first
+  const entries = new Map();
+
+  const getLive = (key) => {
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  };
+
+  const store = (key, promise) => {
+    entries.delete(key);
+    entries.set(key, { promise, expiresAt: Date.now() + ttlMs });
+
+    for (const oldestKey of entries.keys()) {
+      if (entries.size <= maxEntries) {
+        break;
+      }
+      entries.delete(oldestKey);
+    }
+  };
+
+  return {
+    /**
+     * Runs fn once per key within the window
+     *
+     * @param {string} key - Idempotency key
+     * @param {Function} fn - Async function producing the result
+     * @returns {Promise<Object>} { result, duplicate }
+     */
+    async run(key, fn) {
+      const entry = getLive(key);
+      if (entry) {
+        return { result: await entry.promise, duplicate: true };
+      }
+
+      const promise = fn();
+      store(key, promise);
+
+      try {
+        return { result: await promise, duplicate: false };
+      } catch (error) {
+        const current = entries.get(key);
+        if (current && current.promise === promise) {
+          entries.delete(key);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * @returns {boolean} Whether the key was seen within the window
+     */
+    has(key) {
+      return getLive(key) !== undefined;
+    },
+
+    /**
+     * Records a result produced elsewhere, e.g. by another instance
+     */
+    remember(key, result) {
+      store(key, Promise.resolve(result));
+    },
+
+    getStats() {
+      return { entries: entries.size };
+    },
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Creates a bounded LRU cache for message lists (channel history windows
+ * or thread replies).
+ *
+ * Entries expire after ttlMs. When there are more than maxEntries entries,
+ * or more than maxMessages messages across all entries, the least recently
+ * used entries are evicted. Each entry keeps at most windowSize messages,
+ * dropping the oldest ones and flagging that more history exists.
+ *
+ * @param {Object} options - Cache limits
+ * @param {number} options.ttlMs - Time to live of an entry
+ * @param {number} options.maxEntries - Maximum number of entries
+ * @param {number} options.maxMessages - Maximum number of messages overall
+ * @param {number} [options.windowSize] - Maximum number of messages per entry
+ * @returns {Object} Message cache
+ */
+export function createMessageCache({
+  ttlMs,
+  maxEntries,
+  maxMessages,
+  windowSize = Infinity,
+}) {
+  // key -> { messages, hasMore, expiresAt }, in least recently used order
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  let totalMessages = 0;
+
+  const remove = (key) => {
+    totalMessages -= entries.get(key).messages.length;
+    entries.delete(key);
+  };
+
+  // drop the entry if its TTL has passed
+  const getLive = (key) => {
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      remove(key);
+      stats.expirations++;
+      return undefined;
+    }
+
+    return entry;
+  };
+
+  const store = (key, messages, hasMore, expiresAt) => {
+    if (entries.has(key)) {
+      remove(key);
+    }
+
+    let windowMessages = messages;
+    if (messages.length > windowSize) {
+      windowMessages = messages.slice(messages.length - windowSize);
+      hasMore = true;
+    }
+
+    entries.set(key, { messages: windowMessages, hasMore, expiresAt });
+    totalMessages += windowMessages.length;
+
+    // evict least recently used entries, but never the one just stored
+    for (const oldestKey of entries.keys()) {
+      if (entries.size <= maxEntries && totalMessages <= maxMessages) {
+        break;
+      }
+      if (oldestKey === key) {
+        continue;
+      }
+      remove(oldestKey);
+      stats.evictions++;
+    }
+  };
+
+  return {
+    /**
+     * @returns {Object|undefined} { messages, hasMore } or undefined on a miss
+     */
+    get(key) {
+      const entry = getLive(key);
+
+      if (!entry) {
+        stats.misses++;
+        return undefined;
+      }
+
+      stats.hits++;
+      // mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+
+      return { messages: entry.messages, hasMore: entry.hasMore };
+    },
+
+    has(key) {
+      return getLive(key) !== undefined;
+    },
+
+    /**
+     * Stores a fresh list, restarting its TTL
+     */
+    set(key, messages, hasMore = false) {
+      store(key, messages, hasMore, Date.now() + ttlMs);
+    },
+
+    /**
+     * Appends a message to a cached list; does nothing on a miss
+     */
+    append(key, message) {
+      const entry = getLive(key);
+      if (entry) {
+        store(
+          key,
+          [...entry.messages, message],
+          entry.hasMore,
+          entry.expiresAt
+        );
+      }
+    },
+
+    /**
+     * Replaces a cached list with fn(messages); does nothing on a miss
+     */
+    update(key, fn) {
+      const entry = getLive(key);
+      if (entry) {
+        store(key, fn(entry.messages), entry.hasMore, entry.expiresAt);
+      }
+    },
+
+    invalidate(key) {
+      if (entries.has(key)) {
+        remove(key);
+      }
+    },
+
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+
+      return {
+        entries: entries.size,
+        messages: totalMessages,
+        ...stats,
+        hitRatio: lookups > 0 ? stats.hits / lookups : 0,
+      };
+    },
+  };
+}
@@ -1,24 +1,46 @@
-import fetch from "node-fetch";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
+import { createBackendFetch } from "./backendClient.js";
+import { logger } from "../utils/logger.js";
 
 dotenv.config();
 
+const fetchBackend = createBackendFetch("messageService");
+
 const API_SERVICE_URL = process.env.API_SERVICE_URL || "http://localhost:8080";
 
 /**
- * Fetches messages for a specific channel
+ * Fetches one page of messages for a specific channel. Without a cursor
+ * the latest page is returned.
  *
  * @param {string} channelId - The UUID of the channel
  * @param {string} token - JWT token for authentication
- * @returns {Promise<Array>} Array of messages
+ * @param {Object} [page] - Page options
+ * @param {string} [page.before] - Only messages older than this message ID
+ * @param {string} [page.after] - Only messages newer than this message ID
+ * @param {number} [page.limit] - Maximum number of messages (default 50)
+ * @returns {Promise<Object>} { messages, hasMore }, messages oldest first
  */
-export async function getChannelMessages(channelId, token) {
+export async function getChannelMessages(
+  channelId,
+  token,
+  { before, after, limit = 50 } = {}
+) {
   try {
-    console.log(`Fetching messages for channel ${channelId}`);
+    logger.debug("Fetching channel messages", { channelId });
 
-    const response = await fetch(
-      `${API_SERVICE_URL}/api/channels/${channelId}/messages`,
+    // ask for one extra message to know whether another page exists
+    const query = new URLSearchParams({ limit: String(limit + 1) });
+    if (before) {
+      query.set("before", before);
+    }
+    if (after) {
+      query.set("after", after);
+    }
+
+    const response = await fetchBackend(
+      "getChannelMessages",
+      `${API_SERVICE_URL}/api/channels/${channelId}/messages?${query}`,
       {
         method: "GET",
         headers: {
@@ -33,12 +55,58 @@ export async function getChannelMessages(channelId, token) {
     }
 
     const messages = await response.json();
-    console.log(
-      `Retrieved ${messages.length} messages for channel ${channelId}`
+    logger.debug("Fetched channel messages", {
+      channelId,
+      count: messages.length,
+    });
+
+    const hasMore = messages.length > limit;
+    // the extra message is the newest one when paging forward, else the oldest
+    const page = hasMore
+      ? after
+        ? messages.slice(0, limit)
+        : messages.slice(messages.length - limit)
+      : messages;
+
+    return {
+      // thread replies are served separately through getThreadMessages
+      messages: page.filter((msg) => !msg.parentMessageId),
+      hasMore,
+    };
+  } catch (error) {
+    logger.error("Error fetching channel messages", { channelId, error });
+    throw error;
+  }
+}
+
+/**
+ * Fetches the replies of a message thread
+ *
+ * @param {string} parentMessageId - The UUID of the thread's parent message
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Array>} Array of reply messages, oldest first
+ */
+export async function getThreadMessages(parentMessageId, token) {
+  try {
+    const response = await fetchBackend(
+      "getThreadMessages",
+      `${API_SERVICE_URL}/api/messages/${parentMessageId}/replies`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
     );
-    return messages;
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch thread replies: ${response.status}`);
+    }
+
+    return await response.json();
   } catch (error) {
-    console.error(`Error fetching messages for channel ${channelId}:`, error);
+    logger.error("Error fetching thread replies", { parentMessageId, error });
     throw error;
   }
 }
@@ -50,11 +118,10 @@ export async function addReaction(messageId, reaction, token) {
       user_id: reaction.userId,
       reaction_type: reaction.reactionType,
     };
-    console.log(
-      "Pyalod to be send " + payload.user_id + " and " + payload.reaction_type
-    );
+    logger.debug("Adding reaction", { messageId, payload });
 
-    const response = await fetch(
+    const response = await fetchBackend(
+      "addReaction",
       `${API_SERVICE_URL}/api/messages/${messageId}/reactions`,
       {
         method: "POST",
@@ -71,7 +138,8 @@ export async function addReaction(messageId, reaction, token) {
     }
 
     // Pentru a obține ID-ul reacției create
-    const reactionsResponse = await fetch(
+    const reactionsResponse = await fetchBackend(
+      "addReaction",
       `${API_SERVICE_URL}/api/messages/${messageId}/reactions`,
       {
         headers: {
@@ -93,7 +161,7 @@ export async function addReaction(messageId, reaction, token) {
 
     return createdReaction || { id: "temp-id", ...reaction };
   } catch (error) {
-    console.error(`Error adding reaction to message ${messageId}:`, error);
+    logger.error("Error adding reaction", { messageId, error });
     throw error;
   }
 }
@@ -119,13 +187,9 @@ export async function removeReaction(
       user_id: userId,
       reaction_type: reactionType,
     };
-    console.log(
-      "Reacton to be DELETED: userId",
-      userId,
-      " reactionType: ",
-      reactionType
-    );
-    const response = await fetch(
+    logger.debug("Removing reaction", { messageId, payload });
+    const response = await fetchBackend(
+      "removeReaction",
       `${API_SERVICE_URL}/api/messages/${messageId}/reactions`,
       {
         method: "DELETE",
@@ -141,7 +205,7 @@ export async function removeReaction(
       throw new Error(`Failed to remove reaction: ${response.status}`);
     }
   } catch (error) {
-    console.error(`Error removing reaction for message ${messageId}:`, error);
+    logger.error("Error removing reaction", { messageId, error });
     throw error;
   }
 }
@@ -150,9 +214,13 @@ export async function removeReaction(
  *
  * @param {Object} message - Message data
  * @param {string} token - JWT token for authentication
+ * @param {Object} [options] - Request options
+ * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key, the
+ * same for every attempt to save the message, so the backend can drop
+ * copies of a save that timed out after reaching it
  * @returns {Promise<Object>} Created message data
  */
-export async function createMessage(message, token) {
+export async function createMessage(message, token, { idempotencyKey } = {}) {
   try {
     // Decode token to extract user ID
     const decodedToken = jwt.decode(token);
@@ -173,16 +241,22 @@ export async function createMessage(message, token) {
       updatedAt: formattedDate,
     };
 
-    console.log("Message to be sent with valid userId:", messageWithUserId);
+    // content is redacted unless LOG_REDACT=false
+    logger.debug("Creating message", { message: messageWithUserId });
 
-    const response = await fetch(`${API_SERVICE_URL}/api/messages`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(messageWithUserId),
-    });
+    const response = await fetchBackend(
+      "createMessage",
+      `${API_SERVICE_URL}/api/messages`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+        },
+        body: JSON.stringify(messageWithUserId),
+      }
+    );
 
     if (!response.ok) {
       throw new Error(`Failed to create message: ${response.status}`);
@@ -190,7 +264,260 @@ export async function createMessage(message, token) {
 
     return await response.json();
   } catch (error) {
-    console.error("Error creating message:", error);
+    logger.error("Error creating message", { error });
+    throw error;
+  }
+}
+
+/**
+ * Fetches a single message by ID
+ *
+ * @param {string} messageId - The UUID of the message
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Object|null>} Message data, or null if it does not exist
+ */
+export async function getMessage(messageId, token) {
+  try {
+    const response = await fetchBackend(
+      "getMessage",
+      `${API_SERVICE_URL}/api/messages/${messageId}`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch message: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error fetching message", { messageId, error });
+    throw error;
+  }
+}
+
+/**
+ * Updates the content of an existing message
+ *
+ * @param {string} messageId - The UUID of the message
+ * @param {Object} updates - Fields to update (e.g. content)
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Object>} Updated message data
+ */
+export async function updateMessage(messageId, updates, token) {
+  try {
+    // Format date to work with LocalDateTime on server
+    const formattedDate = new Date().toISOString().replace(/\.\d{3}Z$/, "");
+
+    const response = await fetchBackend(
+      "updateMessage",
+      `${API_SERVICE_URL}/api/messages/${messageId}`,
+      {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ ...updates, updatedAt: formattedDate }),
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to update message: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error updating message", { messageId, error });
+    throw error;
+  }
+}
+
+/**
+ * Deletes a message
+ *
+ * @param {string} messageId - The UUID of the message
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<void>}
+ */
+export async function deleteMessage(messageId, token) {
+  try {
+    const response = await fetchBackend(
+      "deleteMessage",
+      `${API_SERVICE_URL}/api/messages/${messageId}`,
+      {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to delete message: ${response.status}`);
+    }
+  } catch (error) {
+    logger.error("Error deleting message", { messageId, error });
+    throw error;
+  }
+}
+
+/**
+ * Creates (or returns the existing) direct conversation between users
+ *
+ * @param {Array<string>} participantIds - User IDs taking part, including the caller
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Object>} Conversation data ({ id, participantIds, ... })
+ */
+export async function createConversation(participantIds, token) {
+  try {
+    const response = await fetchBackend(
+      "createConversation",
+      `${API_SERVICE_URL}/api/conversations`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ participantIds }),
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to create conversation: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error creating conversation", { error });
+    throw error;
+  }
+}
+
+/**
+ * Fetches a direct conversation by ID
+ *
+ * @param {string} conversationId - The UUID of the conversation
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Object>} Conversation data ({ id, participantIds, ... })
+ */
+export async function getConversation(conversationId, token) {
+  try {
+    const response = await fetchBackend(
+      "getConversation",
+      `${API_SERVICE_URL}/api/conversations/${conversationId}`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch conversation: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error fetching conversation", { conversationId, error });
+    throw error;
+  }
+}
+
+/**
+ * Fetches messages for a direct conversation
+ *
+ * @param {string} conversationId - The UUID of the conversation
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Array>} Array of messages
+ */
+export async function getConversationMessages(conversationId, token) {
+  try {
+    const response = await fetchBackend(
+      "getConversationMessages",
+      `${API_SERVICE_URL}/api/conversations/${conversationId}/messages`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch messages: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error fetching conversation messages", {
+      conversationId,
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Creates a new message in a direct conversation
+ *
+ * @param {string} conversationId - The UUID of the conversation
+ * @param {Object} message - Message data
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Object>} Created message data
+ */
+export async function createDirectMessage(conversationId, message, token) {
+  try {
+    const decodedToken = jwt.decode(token);
+    const userId = decodedToken.userId || decodedToken.sub;
+
+    if (!userId) {
+      throw new Error("Could not extract user ID from token");
+    }
+
+    // Format date to work with LocalDateTime on server
+    const formattedDate = new Date().toISOString().replace(/\.\d{3}Z$/, "");
+
+    const response = await fetchBackend(
+      "createDirectMessage",
+      `${API_SERVICE_URL}/api/conversations/${conversationId}/messages`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          ...message,
+          conversationId,
+          senderId: userId,
+          createdAt: formattedDate,
+          updatedAt: formattedDate,
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to create direct message: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger.error("Error creating direct message", { conversationId, error });
     throw error;
   }
 }
@@ -0,0 +1,258 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { logger } from "../utils/logger.js";
+
+// records of entries that left the outbox tolerated before a rewrite
+const COMPACT_MIN_DEAD_RECORDS = 100;
+
+/**
+ * Creates an outbox of messages waiting to be saved, kept in an append-only
+ * journal so they survive a restart.
+ *
+ * Every change is a JSON line: { type: "queued", entry } when a message is
+ * queued, { type: "sent", id } or { type: "failed", id } when it leaves the
+ * outbox. open() replays the journal, keeping the entries that never left,
+ * and rewrites it with only those. The journal is emptied whenever the
+ * outbox is, and rewritten the same way once the records of entries that
+ * left outnumber those still waiting (and are at least
+ * COMPACT_MIN_DEAD_RECORDS), so a long partial outage doesn't grow it
+ * without bound or keep the tokens of delivered messages on disk.
+ *
+ * flush() delivers the entries of each channel in the order they were
+ * queued. An entry that fails with an error isRetryable accepts stays at
+ * the head of its channel until the next flush, so later messages never
+ * overtake it; any other error, or reaching its expiresAt, drops it.
+ * A crash between delivering an entry and journaling it may deliver it
+ * again after the restart.
+ *
+ * Entries are journaled as given, including the bearer token app.js keeps
+ * to save a message on the sender's behalf after a restart. Anyone who can
+ * read the journal can use those tokens until they expire, which is why it
+ * is created with mode 0600 and entries leave no later than that expiry.
+ *
+ * @param {Object} options - Outbox settings
+ * @param {string} options.path - Journal file, one per instance
+ * @param {number} options.maxEntries - Entries kept before isFull()
+ * @param {number} options.maxAgeMs - How long an entry is retried at most
+ * @param {Function} options.deliver - async (entry) => result, throws to fail
+ * @param {Function} options.isRetryable - (error) => whether to retry later
+ * @param {Function} options.onSent - (entry, result) after delivery
+ * @param {Function} options.onFailed - (entry, { reason, error }) when an
+ * entry is dropped; reason is "rejected" or "expired"
+ * @returns {Object} Outbox
+ */
+export function createOutbox({
+  path: journalPath,
+  maxEntries,
+  maxAgeMs,
+  deliver,
+  isRetryable,
+  onSent,
+  onFailed,
+}) {
+  // channelId -> entries, oldest first
+  const queues = new Map();
+  let size = 0;
+  let fd = null;
+  // journal lines no longer needed: queued records of entries that left,
+  // and their sent or failed records
+  let deadRecords = 0;
+  // the flush in progress, shared by callers while it runs
+  let flushing = null;
+  const stats = { queued: 0, sent: 0, failed: 0 };
+
+  const append = (record, sync = false) => {
+    fs.writeSync(fd, `${JSON.stringify(record)}\n`);
+    if (sync) {
+      fs.fdatasyncSync(fd);
+    }
+  };
+
+  const add = (entry) => {
+    if (!queues.has(entry.channelId)) {
+      queues.set(entry.channelId, []);
+    }
+    queues.get(entry.channelId).push(entry);
+    size++;
+  };
+
+  // replace the journal with the queued records of waiting entries only
+  const compact = () => {
+    const entries = Array.from(queues.values()).flat();
+    const compacted = `${journalPath}.tmp`;
+
+    // entries hold user tokens, keep the journal private; synced before the
+    // rename so a crash leaves either the old or the new journal
+    const compactedFd = fs.openSync(compacted, "w", 0o600);
+    fs.writeSync(
+      compactedFd,
+      entries
+        .map((entry) => `${JSON.stringify({ type: "queued", entry })}\n`)
+        .join("")
+    );
+    fs.fdatasyncSync(compactedFd);
+    fs.closeSync(compactedFd);
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(compacted, journalPath);
+    fd = fs.openSync(journalPath, "a", 0o600);
+    deadRecords = 0;
+  };
+
+  // take the head of a channel's queue off and journal why
+  const remove = (channelId, type) => {
+    const queue = queues.get(channelId);
+    const entry = queue.shift();
+    if (queue.length === 0) {
+      queues.delete(channelId);
+    }
+    size--;
+    stats[type]++;
+
+    append({ type, id: entry.id });
+    deadRecords += 2;
+    if (size === 0) {
+      fs.ftruncateSync(fd, 0);
+      deadRecords = 0;
+    } else if (deadRecords >= Math.max(COMPACT_MIN_DEAD_RECORDS, size)) {
+      compact();
+    }
+  };
+
+  // read the entries of an existing journal that never left the outbox
+  const replay = () => {
+    if (!fs.existsSync(journalPath)) {
+      return [];
+    }
+
+    const pending = new Map();
+    fs.readFileSync(journalPath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .forEach((line, index) => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // a crash may leave the last line half written
+          logger.warn("Skipping unreadable outbox journal line", {
+            path: journalPath,
+            line: index + 1,
+          });
+          return;
+        }
+
+        if (record.type === "queued") {
+          pending.set(record.entry.id, record.entry);
+        } else {
+          pending.delete(record.id);
+        }
+      });
+
+    return Array.from(pending.values());
+  };
+
+  // deliver the entries of one channel until one has to wait
+  const flushChannel = async (channelId) => {
+    while (queues.has(channelId)) {
+      const entry = queues.get(channelId)[0];
+
+      if (Date.now() >= entry.expiresAt) {
+        remove(channelId, "failed");
+        onFailed(entry, { reason: "expired", error: null });
+        continue;
+      }
+
+      let result;
+      try {
+        result = await deliver(entry);
+      } catch (error) {
+        if (isRetryable(error)) {
+          return;
+        }
+        remove(channelId, "failed");
+        onFailed(entry, { reason: "rejected", error });
+        continue;
+      }
+
+      remove(channelId, "sent");
+      onSent(entry, result);
+    }
+  };
+
+  return {
+    /**
+     * Loads the journal left by a previous run and opens it for writing
+     *
+     * @returns {number} Number of entries replayed
+     */
+    open() {
+      const entries = replay();
+      entries.forEach(add);
+
+      fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+      compact();
+
+      return entries.length;
+    },
+
+    /**
+     * Queues a message, returning once it is on disk
+     *
+     * @param {Object} fields - At least { channelId }, kept with the entry;
+     * an expiresAt (ms) sooner than maxAgeMs from now shortens its retries
+     * @returns {Object} The entry, with its id, queuedAt and expiresAt
+     */
+    enqueue(fields) {
+      const now = Date.now();
+      const entry = {
+        ...fields,
+        id: randomUUID(),
+        queuedAt: new Date(now).toISOString(),
+        expiresAt: Math.min(now + maxAgeMs, fields.expiresAt || Infinity),
+      };
+
+      append({ type: "queued", entry }, true);
+      add(entry);
+      stats.queued++;
+
+      return entry;
+    },
+
+    /**
+     * @returns {boolean} Whether messages of the channel are waiting
+     */
+    hasPending(channelId) {
+      return queues.has(channelId);
+    },
+
+    isFull() {
+      return size >= maxEntries;
+    },
+
+    /**
+     * Delivers waiting entries, channel by channel
+     *
+     * @returns {Promise<void>}
+     */
+    flush() {
+      if (!flushing) {
+        flushing = (async () => {
+          for (const channelId of Array.from(queues.keys())) {
+            await flushChannel(channelId);
+          }
+        })().finally(() => {
+          flushing = null;
+        });
+      }
+
+      return flushing;
+    },
+
+    getStats() {
+      return { pending: size, channels: queues.size, ...stats };
+    },
+  };
+}
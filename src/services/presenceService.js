@@ -0,0 +1,346 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// statuses a client may pick with set-status, "offline" is derived
+export const USER_STATUSES = ["online", "away", "dnd"];
+
+// how long without any socket event before a user is marked away
+const IDLE_TIMEOUT_MS =
+  parseInt(process.env.PRESENCE_IDLE_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+// presence per user: { sockets, status, autoAway, lastActivity, lastSeen }
+const users = new Map();
+// active channels: channelId -> Map(userId -> Set of socket IDs)
+const activeChannels = new Map();
+// owner of each socket: socketId -> { userId, serverId }
+const socketOwners = new Map();
+
+const toPresence = (userId) => {
+  const entry = users.get(userId);
+
+  if (!entry) {
+    return { userId, status: "offline", lastSeen: null };
+  }
+
+  return {
+    userId,
+    status: entry.sockets.size > 0 ? entry.status : "offline",
+    lastSeen: entry.lastSeen,
+  };
+};
+
+/**
+ * Registers a new socket for a user
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {string} socketId - The Socket.IO socket ID
+ * @param {string} [serverId] - The service instance holding the socket
+ * @returns {boolean} True if this is the user's first socket (came online)
+ */
+export function addConnection(userId, socketId, serverId) {
+  const now = new Date().toISOString();
+
+  if (!users.has(userId)) {
+    users.set(userId, {
+      sockets: new Set(),
+      status: "online",
+      autoAway: false,
+      lastActivity: Date.now(),
+      lastSeen: now,
+    });
+  }
+
+  const entry = users.get(userId);
+  const cameOnline = entry.sockets.size === 0;
+
+  entry.sockets.add(socketId);
+  socketOwners.set(socketId, { userId, serverId });
+  entry.lastActivity = Date.now();
+  entry.lastSeen = now;
+
+  if (cameOnline) {
+    entry.status = "online";
+    entry.autoAway = false;
+  }
+
+  return cameOnline;
+}
+
+/**
+ * Removes a socket of a user
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {string} socketId - The Socket.IO socket ID
+ * @returns {boolean} True if that was the user's last socket (went offline)
+ */
+export function removeConnection(userId, socketId) {
+  const entry = users.get(userId);
+  socketOwners.delete(socketId);
+
+  if (!entry || !entry.sockets.delete(socketId)) {
+    return false;
+  }
+
+  entry.lastSeen = new Date().toISOString();
+  return entry.sockets.size === 0;
+}
+
+/**
+ * Sets a status picked by the user
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {string} status - One of USER_STATUSES
+ * @returns {Object} The user's presence
+ */
+export function setStatus(userId, status) {
+  if (!USER_STATUSES.includes(status)) {
+    throw new Error(`Unknown status: ${status}`);
+  }
+
+  const entry = users.get(userId);
+  if (entry) {
+    entry.status = status;
+    entry.autoAway = false;
+    entry.lastActivity = Date.now();
+  }
+
+  return toPresence(userId);
+}
+
+/**
+ * Records activity for a user, bringing them back from automatic away
+ *
+ * @param {string} userId - The UUID of the user
+ * @returns {boolean} True if the status changed
+ */
+export function recordActivity(userId) {
+  const entry = users.get(userId);
+
+  if (!entry) {
+    return false;
+  }
+
+  entry.lastActivity = Date.now();
+  entry.lastSeen = new Date().toISOString();
+
+  if (entry.autoAway) {
+    entry.status = "online";
+    entry.autoAway = false;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Marks connected users without recent activity as away
+ *
+ * @returns {Array<string>} IDs of users whose status changed
+ */
+export function markIdleUsers() {
+  const idleSince = Date.now() - IDLE_TIMEOUT_MS;
+  const changed = [];
+
+  for (const [userId, entry] of users.entries()) {
+    if (
+      entry.sockets.size > 0 &&
+      entry.status === "online" &&
+      entry.lastActivity < idleSince
+    ) {
+      entry.status = "away";
+      entry.autoAway = true;
+      changed.push(userId);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Returns the presence of a single user
+ *
+ * @param {string} userId - The UUID of the user
+ * @returns {Object} { userId, status, lastSeen }
+ */
+export function getPresence(userId) {
+  return toPresence(userId);
+}
+
+/**
+ * Returns the presence of several users
+ *
+ * @param {Array<string>} userIds - UUIDs of the users
+ * @returns {Array<Object>} { userId, status, lastSeen } per user
+ */
+export function queryPresence(userIds) {
+  return userIds.map(toPresence);
+}
+
+/**
+ * Tracks a socket of a user in a channel
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} userId - The UUID of the user
+ * @param {string} socketId - The Socket.IO socket ID
+ * @returns {boolean} True if the user was not in the channel before
+ */
+export function joinChannel(channelId, userId, socketId) {
+  if (!activeChannels.has(channelId)) {
+    activeChannels.set(channelId, new Map());
+  }
+
+  const channelUsers = activeChannels.get(channelId);
+  const isNew = !channelUsers.has(userId);
+
+  if (isNew) {
+    channelUsers.set(userId, new Set());
+  }
+  channelUsers.get(userId).add(socketId);
+
+  return isNew;
+}
+
+/**
+ * Stops tracking a socket of a user in a channel. Without a socketId
+ * every socket of the user is removed.
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @param {string} userId - The UUID of the user
+ * @param {string} [socketId] - The Socket.IO socket ID
+ * @returns {boolean} True if the user has no sockets left in the channel
+ */
+export function leaveChannel(channelId, userId, socketId) {
+  const channelUsers = activeChannels.get(channelId);
+
+  if (!channelUsers || !channelUsers.has(userId)) {
+    return false;
+  }
+
+  const sockets = channelUsers.get(userId);
+  if (socketId) {
+    sockets.delete(socketId);
+  } else {
+    sockets.clear();
+  }
+
+  if (sockets.size > 0) {
+    return false;
+  }
+
+  channelUsers.delete(userId);
+
+  // clean up empty channels
+  if (channelUsers.size === 0) {
+    activeChannels.delete(channelId);
+  }
+
+  return true;
+}
+
+/**
+ * Returns the IDs of users with at least one socket in a channel
+ *
+ * @param {string} channelId - The UUID of the channel
+ * @returns {Array<string>} User IDs
+ */
+export function getChannelUsers(channelId) {
+  return Array.from((activeChannels.get(channelId) || new Map()).keys());
+}
+
+/**
+ * Returns the channels a user is active in
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {string} [socketId] - Restrict to channels joined by this socket
+ * @returns {Array<string>} Channel IDs
+ */
+export function getUserChannels(userId, socketId) {
+  const channels = [];
+
+  for (const [channelId, channelUsers] of activeChannels.entries()) {
+    const sockets = channelUsers.get(userId);
+    if (sockets && (!socketId || sockets.has(socketId))) {
+      channels.push(channelId);
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * Drops every socket held by a service instance that went down
+ *
+ * @param {string} serverId - The service instance
+ * @returns {Array<Object>} { userId, channelIds } for users that went offline
+ */
+export function removeServerConnections(serverId) {
+  const wentOffline = [];
+
+  for (const [socketId, owner] of socketOwners.entries()) {
+    if (owner.serverId !== serverId) {
+      continue;
+    }
+
+    const channelIds = getUserChannels(owner.userId);
+    getUserChannels(owner.userId, socketId).forEach((channelId) =>
+      leaveChannel(channelId, owner.userId, socketId)
+    );
+
+    if (removeConnection(owner.userId, socketId)) {
+      wentOffline.push({ userId: owner.userId, channelIds });
+    }
+  }
+
+  return wentOffline;
+}
+
+/**
+ * Returns the whole presence state, for an instance joining the cluster.
+ * It is live, the broker copies it right away.
+ *
+ * @returns {Object} Snapshot for restorePresenceSnapshot
+ */
+export function getPresenceSnapshot() {
+  return { users, activeChannels, socketOwners };
+}
+
+/**
+ * Fills in presence from another instance's snapshot. Users, channels and
+ * sockets already known here come from newer changes and are kept.
+ *
+ * @param {Object} snapshot - From getPresenceSnapshot
+ */
+export function restorePresenceSnapshot(snapshot) {
+  snapshot.users.forEach((entry, userId) => {
+    if (!users.has(userId)) {
+      users.set(userId, entry);
+    }
+  });
+  snapshot.activeChannels.forEach((channelUsers, channelId) => {
+    if (!activeChannels.has(channelId)) {
+      activeChannels.set(channelId, channelUsers);
+    }
+  });
+  snapshot.socketOwners.forEach((owner, socketId) => {
+    if (!socketOwners.has(socketId)) {
+      socketOwners.set(socketId, owner);
+    }
+  });
+}
+
+/**
+ * Returns presence counters for the health check
+ *
+ * @returns {Object} { onlineUsers, activeChannels }
+ */
+export function getStats() {
+  let onlineUsers = 0;
+  for (const entry of users.values()) {
+    if (entry.sockets.size > 0) {
+      onlineUsers++;
+    }
+  }
+
+  return { onlineUsers, activeChannels: activeChannels.size };
+}
@@ -0,0 +1,160 @@
+/**
+ * Creates a per-user, per-event token bucket rate limiter.
+ *
+ * Each user gets a bucket per event holding up to `capacity` tokens and
+ * refilled with `perSecond` tokens a second; every event takes one token.
+ * Events without an entry in limits use limits.default. A user whose
+ * events are rejected maxStrikes times within strikeWindowMs is blocked
+ * for blockMs; rejections of events whose limit has strikes: false (chatty
+ * ones like typing) don't count.
+ *
+ * @param {Object} options - Limiter settings
+ * @param {Object} options.limits - event -> { capacity, perSecond, strikes }
+ * @param {number} options.maxStrikes - Rejections before a user is blocked
+ * @param {number} options.strikeWindowMs - Window in which strikes count
+ * @param {number} options.blockMs - How long a blocked user stays blocked
+ * @returns {Object} Rate limiter
+ */
+export function createRateLimiter({
+  limits,
+  maxStrikes,
+  strikeWindowMs,
+  blockMs,
+}) {
+  // "userId:event" -> { event, tokens, updatedAt }
+  const buckets = new Map();
+  // userId -> { count, since }
+  const strikes = new Map();
+  // userId -> blocked until (ms since epoch)
+  const blocked = new Map();
+  const stats = { allowed: 0, limited: 0, blocks: 0, limitedByEvent: {} };
+
+  const limitFor = (event) => limits[event] || limits.default;
+
+  // tokens of a bucket after refilling it up to now
+  const refill = (bucket, limit, now) =>
+    Math.min(
+      limit.capacity,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond
+    );
+
+  return {
+    /**
+     * Takes a token for an event of a user
+     *
+     * @param {string} userId - The UUID of the user
+     * @param {string} event - The socket event
+     * @returns {Object} { allowed, retryAfterMs }
+     */
+    consume(userId, event) {
+      const limit = limitFor(event);
+      const key = `${userId}:${event}`;
+      const now = Date.now();
+      const bucket = buckets.get(key) || {
+        event,
+        tokens: limit.capacity,
+        updatedAt: now,
+      };
+
+      bucket.tokens = refill(bucket, limit, now);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        stats.allowed++;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      stats.limited++;
+      stats.limitedByEvent[event] = (stats.limitedByEvent[event] || 0) + 1;
+
+      return {
+        allowed: false,
+        retryAfterMs: Math.ceil(((1 - bucket.tokens) / limit.perSecond) * 1000),
+      };
+    },
+
+    /**
+     * Counts a rejected event against a user, blocking them after too many
+     *
+     * @param {string} userId - The UUID of the user
+     * @param {string} event - The rejected socket event
+     * @returns {boolean} True if the user is now blocked
+     */
+    recordStrike(userId, event) {
+      if (limitFor(event).strikes === false) {
+        return false;
+      }
+
+      const now = Date.now();
+      const entry = strikes.get(userId);
+      const current =
+        entry && now - entry.since < strikeWindowMs
+          ? entry
+          : { count: 0, since: now };
+
+      current.count++;
+      strikes.set(userId, current);
+
+      if (current.count < maxStrikes) {
+        return false;
+      }
+
+      strikes.delete(userId);
+      blocked.set(userId, now + blockMs);
+      stats.blocks++;
+      return true;
+    },
+
+    /**
+     * @returns {number} Milliseconds until the user is unblocked, 0 if not blocked
+     */
+    blockedFor(userId) {
+      const until = blocked.get(userId);
+      if (!until) {
+        return 0;
+      }
+
+      const remaining = until - Date.now();
+      if (remaining <= 0) {
+        blocked.delete(userId);
+        return 0;
+      }
+      return remaining;
+    },
+
+    /**
+     * Drops full buckets, old strikes and expired blocks
+     */
+    sweep() {
+      const now = Date.now();
+
+      for (const [key, bucket] of buckets.entries()) {
+        const limit = limitFor(bucket.event);
+        if (refill(bucket, limit, now) >= limit.capacity) {
+          buckets.delete(key);
+        }
+      }
+      for (const [userId, entry] of strikes.entries()) {
+        if (now - entry.since >= strikeWindowMs) {
+          strikes.delete(userId);
+        }
+      }
+      for (const [userId, until] of blocked.entries()) {
+        if (until <= now) {
+          blocked.delete(userId);
+        }
+      }
+    },
+
+    getStats() {
+      return {
+        ...stats,
+        limitedByEvent: { ...stats.limitedByEvent },
+        buckets: buckets.size,
+        blockedUsers: blocked.size,
+      };
+    },
+  };
+}
@@ -0,0 +1,184 @@
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import { createBackendFetch } from "./backendClient.js";
+import { logger } from "../utils/logger.js";
+import { SocketError } from "../utils/errors.js";
+import { createTtlCache } from "./ttlCache.js";
+
+dotenv.config();
+
+const fetchBackend = createBackendFetch("teamService");
+
+const API_SERVICE_URL = process.env.API_SERVICE_URL || "http://localhost:8080";
+
+// team membership changes as rarely as channel membership
+const MEMBERSHIP_CACHE_TTL_MS =
+  parseInt(process.env.MEMBERSHIP_CACHE_TTL_MS, 10) || 30 * 1000;
+
+// cached answers kept per cache, like channel memberships
+const MEMBERSHIP_CACHE_MAX_ENTRIES =
+  parseInt(process.env.MEMBERSHIP_CACHE_MAX_ENTRIES, 10) || 10000;
+
+// cache for membership checks, keyed by "teamId:userId"
+const membershipCache = createTtlCache({
+  ttlMs: MEMBERSHIP_CACHE_TTL_MS,
+  maxEntries: MEMBERSHIP_CACHE_MAX_ENTRIES,
+});
+// cache for team member lists, keyed by team ID
+const membersCache = createTtlCache({
+  ttlMs: MEMBERSHIP_CACHE_TTL_MS,
+  maxEntries: MEMBERSHIP_CACHE_MAX_ENTRIES,
+});
+
+const membershipKey = (teamId, userId) => `${teamId}:${userId}`;
+
+// whether the token belongs to the user whose membership is looked up
+const isOwnToken = (token, userId) => {
+  const decodedToken = jwt.decode(token) || {};
+  return (decodedToken.userId || decodedToken.sub) === userId;
+};
+
+/**
+ * Fetches a user's membership record in a team from the backend.
+ * Answers are cached for MEMBERSHIP_CACHE_TTL_MS.
+ *
+ * A 403 for a user's own lookup means they are not a member. For a lookup
+ * of someone else it only means the token's owner may not ask, so it fails
+ * with FORBIDDEN.
+ *
+ * @param {string} teamId - The UUID of the team
+ * @param {string} userId - The UUID of the user
+ * @param {string} token - JWT token for authentication
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.cache] - false to neither read nor store a
+ * cached answer, for lookups made with someone else's token
+ * @returns {Promise<Object|null>} The membership (e.g. { role }), or null
+ * if the user is not a member
+ */
+export async function getTeamMembership(
+  teamId,
+  userId,
+  token,
+  { cache = true } = {}
+) {
+  const key = membershipKey(teamId, userId);
+
+  if (cache && membershipCache.has(key)) {
+    return membershipCache.get(key);
+  }
+
+  try {
+    const response = await fetchBackend(
+      "getTeamMembership",
+      `${API_SERVICE_URL}/api/teams/${teamId}/members/${userId}`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (response.status === 403 && !isOwnToken(token, userId)) {
+      throw new SocketError(
+        "FORBIDDEN",
+        "You may not check this user's team membership"
+      );
+    }
+
+    // 403/404 mean "not a member", anything else unexpected is an error
+    if (!response.ok && response.status !== 403 && response.status !== 404) {
+      throw new Error(`Failed to check team membership: ${response.status}`);
+    }
+
+    // the body is optional, an empty answer still means "member"
+    const membership = response.ok
+      ? (await response.json().catch(() => null)) || {}
+      : null;
+    if (cache) {
+      membershipCache.set(key, membership);
+    }
+
+    return membership;
+  } catch (error) {
+    logger.error("Error checking team membership", { userId, teamId, error });
+    throw error;
+  }
+}
+
+/**
+ * Checks with the backend whether a user is a member of a team
+ *
+ * @param {string} teamId - The UUID of the team
+ * @param {string} userId - The UUID of the user
+ * @param {string} token - JWT token for authentication
+ * @param {Object} [options] - See getTeamMembership
+ * @returns {Promise<boolean>} True if the user belongs to the team
+ */
+export async function isTeamMember(teamId, userId, token, options) {
+  return (await getTeamMembership(teamId, userId, token, options)) !== null;
+}
+
+/**
+ * Drops cached membership answers after a team membership change.
+ * Without a userId every cached answer for the team is dropped.
+ *
+ * @param {string} teamId - The UUID of the team
+ * @param {string} [userId] - The UUID of the user
+ */
+export function invalidateTeamMembership(teamId, userId) {
+  membersCache.delete(teamId);
+
+  if (userId) {
+    membershipCache.delete(membershipKey(teamId, userId));
+    return;
+  }
+
+  membershipCache.deletePrefix(`${teamId}:`);
+}
+
+/**
+ * Fetches the IDs of all members of a team.
+ * Lists are cached for MEMBERSHIP_CACHE_TTL_MS.
+ *
+ * @param {string} teamId - The UUID of the team
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Array<string>>} Member user IDs
+ */
+export async function getTeamMembers(teamId, token) {
+  const cached = membersCache.get(teamId);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetchBackend(
+      "getTeamMembers",
+      `${API_SERVICE_URL}/api/teams/${teamId}/members`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch team members: ${response.status}`);
+    }
+
+    const members = await response.json();
+    const memberIds = members.map((member) =>
+      typeof member === "string" ? member : member.userId || member.id
+    );
+    membersCache.set(teamId, memberIds);
+
+    return memberIds;
+  } catch (error) {
+    logger.error("Error fetching team members", { teamId, error });
+    throw error;
+  }
+}
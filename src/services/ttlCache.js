@@ -0,0 +1,79 @@
+/**
+ * Creates a bounded LRU cache of backend answers, e.g. membership checks.
+ *
+ * Entries expire after ttlMs. When there are more than maxEntries entries
+ * the least recently used ones are evicted, so keys chosen by clients (such
+ * as made-up channel IDs) can't grow it without bound.
+ *
+ * @param {Object} options - Cache limits
+ * @param {number} options.ttlMs - Time to live of an entry
+ * @param {number} options.maxEntries - Maximum number of entries
+ * @returns {Object} TTL cache
+ */
+export function createTtlCache({ ttlMs, maxEntries }) {
+  // key -> { value, expiresAt }, in least recently used order
+  const entries = new Map();
+
+  return {
+    /**
+     * @returns {boolean} Whether a live value is cached for the key
+     */
+    has(key) {
+      const entry = entries.get(key);
+
+      if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return false;
+      }
+
+      return entry !== undefined;
+    },
+
+    /**
+     * @returns {*} The cached value, undefined if missing or expired
+     */
+    get(key) {
+      if (!this.has(key)) {
+        return undefined;
+      }
+
+      // move it to the most recently used end
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      for (const oldestKey of entries.keys()) {
+        if (entries.size <= maxEntries) {
+          break;
+        }
+        entries.delete(oldestKey);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    /**
+     * Drops every entry whose key starts with prefix
+     */
+    deletePrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+        }
+      }
+    },
+
+    getStats() {
+      return { entries: entries.size };
+    },
+  };
+}
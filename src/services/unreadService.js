@@ -0,0 +1,101 @@
+// unread counters of connected users: userId -> Map(channelId -> counts)
+const unreadCounters = new Map();
+
+const emptyCounts = () => ({ unreadCount: 0, mentionCount: 0 });
+
+const userCounters = (userId) => {
+  if (!unreadCounters.has(userId)) {
+    unreadCounters.set(userId, new Map());
+  }
+  return unreadCounters.get(userId);
+};
+
+/**
+ * Seeds a user's counters from the backend unread summary
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {Array} summary - [{ channelId, unreadCount, mentionCount }]
+ */
+export function seedUnread(userId, summary) {
+  const counters = userCounters(userId);
+
+  summary.forEach(({ channelId, unreadCount = 0, mentionCount = 0 }) => {
+    counters.set(channelId, { unreadCount, mentionCount });
+  });
+}
+
+/**
+ * Counts a new message for a user who is not looking at the channel
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {string} channelId - The UUID of the channel
+ * @param {boolean} [isMention] - Whether the message mentions the user
+ * @returns {Object} The updated { unreadCount, mentionCount }
+ */
+export function incrementUnread(userId, channelId, isMention = false) {
+  const counters = userCounters(userId);
+  const counts = counters.get(channelId) || emptyCounts();
+
+  const updated = {
+    unreadCount: counts.unreadCount + 1,
+    mentionCount: counts.mentionCount + (isMention ? 1 : 0),
+  };
+  counters.set(channelId, updated);
+
+  return updated;
+}
+
+/**
+ * Clears a user's counters for a channel after they read it
+ *
+ * @param {string} userId - The UUID of the user
+ * @param {string} channelId - The UUID of the channel
+ */
+export function resetUnread(userId, channelId) {
+  userCounters(userId).set(channelId, emptyCounts());
+}
+
+/**
+ * Returns a user's counters for every known channel
+ *
+ * @param {string} userId - The UUID of the user
+ * @returns {Array} [{ channelId, unreadCount, mentionCount }]
+ */
+export function getUnread(userId) {
+  return Array.from(userCounters(userId).entries()).map(
+    ([channelId, counts]) => ({ channelId, ...counts })
+  );
+}
+
+/**
+ * Forgets a user's counters once their last socket disconnects
+ *
+ * @param {string} userId - The UUID of the user
+ */
+export function clearUnread(userId) {
+  unreadCounters.delete(userId);
+}
+
+/**
+ * Returns every user's counters, for an instance joining the cluster.
+ * They are live, the broker copies them right away.
+ *
+ * @returns {Map} Snapshot for restoreUnreadSnapshot
+ */
+export function getUnreadSnapshot() {
+  return unreadCounters;
+}
+
+/**
+ * Fills in counters from another instance's snapshot, keeping those of
+ * users already known here
+ *
+ * @param {Map} snapshot - From getUnreadSnapshot
+ */
+export function restoreUnreadSnapshot(snapshot) {
+  snapshot.forEach((counters, userId) => {
+    if (!unreadCounters.has(userId)) {
+      unreadCounters.set(userId, counters);
+    }
+  });
+}
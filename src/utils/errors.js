@@ -0,0 +1,98 @@
+/**
+ * Error codes sent to clients, with their default message and whether the
+ * same request may succeed when retried
+ */
+export const ERROR_CODES = {
+  // missing or malformed fields in the event payload
+  VALIDATION_ERROR: { message: "Invalid request", retryable: false },
+  // the token is invalid, or belongs to another user
+  UNAUTHORIZED: { message: "Invalid token", retryable: false },
+  // the session token ran out, reconnect or reauthenticate with a new one
+  TOKEN_EXPIRED: { message: "Session token expired", retryable: false },
+  // the user may not act on the channel, conversation or message
+  FORBIDDEN: { message: "Not allowed", retryable: false },
+  // the message, conversation or other target does not exist
+  NOT_FOUND: { message: "Not found", retryable: false },
+  // too many events, retry after retryAfterMs
+  RATE_LIMITED: { message: "Too many requests", retryable: true },
+  // the backend API could not be reached
+  BACKEND_UNAVAILABLE: {
+    message: "Backend service unavailable",
+    retryable: true,
+  },
+  // anything else, e.g. the backend rejected the request
+  INTERNAL_ERROR: { message: "Internal error", retryable: false },
+};
+
+/**
+ * An error reported to the client that sent an event
+ */
+export class SocketError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} [message] - Defaults to the message of the code
+   * @param {Object} [details] - Extra fields sent along, e.g. retryAfterMs
+   */
+  constructor(code, message, details = {}) {
+    super(message || ERROR_CODES[code].message);
+    this.name = "SocketError";
+    this.code = code;
+    this.retryable = ERROR_CODES[code].retryable;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      // older clients read the code from "type"
+      type: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      ...this.details,
+    };
+  }
+}
+
+/**
+ * Thrown by the backend client when the backend can't be reached: the
+ * request timed out, kept failing or its circuit breaker is open
+ */
+export class BackendUnavailableError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [details] - e.g. { retryAfterMs } while the breaker is open
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "BackendUnavailableError";
+    this.retryAfterMs = details.retryAfterMs;
+  }
+}
+
+/**
+ * Converts any error thrown while handling an event into a SocketError
+ *
+ * @param {Error} error - The thrown error
+ * @param {string} [message] - Message for errors that are not SocketErrors
+ * @returns {SocketError}
+ */
+export function toSocketError(error, message) {
+  if (error instanceof SocketError) {
+    return error;
+  }
+
+  // node-fetch network failures (refused connections) and the backend
+  // client giving up
+  if (error && error.name === "FetchError") {
+    return new SocketError("BACKEND_UNAVAILABLE", message);
+  }
+  if (error instanceof BackendUnavailableError) {
+    return new SocketError(
+      "BACKEND_UNAVAILABLE",
+      message,
+      error.retryAfterMs ? { retryAfterMs: error.retryAfterMs } : {}
+    );
+  }
+
+  return new SocketError("INTERNAL_ERROR", message);
+}
@@ -0,0 +1,202 @@
+import dotenv from "dotenv";
+import { USER_STATUSES } from "../services/presenceService.js";
+
+dotenv.config();
+
+// longest message or edit accepted from a client
+export const MAX_MESSAGE_LENGTH =
+  parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 4000;
+
+// reactions clients may add, e.g. REACTION_TYPES=like,love,laugh
+export const REACTION_TYPES = (
+  process.env.REACTION_TYPES || "like,love,laugh,wow,sad,angry"
+)
+  .split(",")
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+/**
+ * Changes announced to everyone in a team room with "team-event"
+ */
+export const TEAM_EVENT_TYPES = [
+  "channel-created",
+  "channel-updated",
+  "channel-archived",
+  "member-added",
+  "member-removed",
+];
+
+/**
+ * Media a call can be started with
+ */
+export const CALL_MEDIA = ["audio", "video"];
+
+const id = (required = false) => ({ type: "string", maxLength: 128, required });
+
+const content = {
+  type: "string",
+  maxLength: MAX_MESSAGE_LENGTH,
+  required: true,
+};
+
+// metadata of a file uploaded through the REST API
+const file = {
+  type: "object",
+  fields: {
+    id: id(),
+    fileName: { type: "string", maxLength: 255, required: true },
+    fileType: { type: "string", maxLength: 127 },
+    fileSize: { type: "number", integer: true, min: 0 },
+    url: { type: "string", maxLength: 2048 },
+  },
+};
+
+const attachments = { type: "array", items: file, maxItems: 10 };
+
+// session description of a WebRTC offer or answer
+const sdp = {
+  type: "object",
+  fields: {
+    type: { type: "string", enum: ["offer", "answer"], required: true },
+    sdp: { type: "string", maxLength: 65536, required: true },
+  },
+  required: true,
+};
+
+// relay of a WebRTC message to one participant of a call
+const signal = (fields) => ({
+  callId: id(true),
+  toUserId: id(true),
+  ...fields,
+});
+
+const payload = (fields = {}, options = {}) => ({
+  type: "object",
+  required: true,
+  // every event may carry a requestId, see handleEvent
+  fields: { requestId: id(), ...fields },
+  ...options,
+});
+
+/**
+ * Payload schema of every client event, checked before its handler runs.
+ * See validate() for the descriptor format.
+ */
+export const EVENT_SCHEMAS = {
+  reauthenticate: payload({
+    token: { type: "string", maxLength: 8192, required: true },
+  }),
+  "join-team": payload({ teamId: id(true) }),
+  "leave-team": payload({ teamId: id(true) }),
+  "team-presence": payload({ teamId: id(true) }),
+  "team-changed": payload({
+    teamId: id(true),
+    type: { type: "string", enum: TEAM_EVENT_TYPES, required: true },
+    channelId: id(),
+    userId: id(),
+  }),
+  "join-channel": payload({ channelId: id(true) }),
+  resume: payload({
+    channels: {
+      type: "record",
+      keys: { type: "string", maxLength: 128 },
+      values: { type: "number", integer: true },
+      maxKeys: 200,
+      required: true,
+    },
+  }),
+  "leave-channel": payload({ channelId: id(true) }),
+  "mark-read": payload({ channelId: id(true), messageId: id(true) }),
+  "membership-changed": payload({ channelId: id(true), userId: id(true) }),
+  "new-message": payload({
+    channelId: id(true),
+    content,
+    attachments,
+    parentMessageId: id(),
+    clientMessageId: id(),
+  }),
+  "join-thread": payload({ channelId: id(true), parentMessageId: id(true) }),
+  "leave-thread": payload({ parentMessageId: id(true) }),
+  "file-upload-complete": payload({
+    channelId: id(true),
+    fileData: { ...file, required: true },
+  }),
+  "add-reaction": payload({
+    messageId: id(true),
+    channelId: id(true),
+    reactionType: { type: "string", enum: REACTION_TYPES, required: true },
+  }),
+  "remove-reaction": payload({
+    messageId: id(true),
+    reactionId: id(true),
+    channelId: id(true),
+    reactionType: { type: "string", enum: REACTION_TYPES, required: true },
+  }),
+  "edit-message": payload({
+    messageId: id(true),
+    channelId: id(true),
+    content,
+  }),
+  "delete-message": payload({ messageId: id(true), channelId: id(true) }),
+  "start-dm": payload({
+    participantIds: {
+      type: "array",
+      items: id(),
+      maxItems: 50,
+      required: true,
+    },
+  }),
+  "dm-message": payload({
+    conversationId: id(true),
+    content,
+    attachments,
+  }),
+  "dm-history": payload({ conversationId: id(true) }),
+  "refresh-messages": payload({ channelId: id(true) }),
+  "load-history": payload({
+    channelId: id(true),
+    before: id(),
+    after: id(),
+    limit: { type: "number", integer: true, min: 1 },
+  }),
+  typing: payload({ channelId: id(true), isTyping: { type: "boolean" } }),
+  "set-status": payload({
+    status: { type: "string", enum: USER_STATUSES, required: true },
+  }),
+  "presence-query": payload({
+    userIds: { type: "array", items: id(), maxItems: 200, required: true },
+  }),
+  "call-start": payload({
+    channelId: id(),
+    conversationId: id(),
+    media: { type: "string", enum: CALL_MEDIA, required: true },
+    inviteeIds: { type: "array", items: id(), maxItems: 50 },
+  }),
+  "call-invite": payload({
+    callId: id(true),
+    userIds: { type: "array", items: id(), maxItems: 50, required: true },
+  }),
+  "call-accept": payload({ callId: id(true) }),
+  "call-decline": payload({ callId: id(true) }),
+  "call-leave": payload({ callId: id(true) }),
+  "call-offer": payload(signal({ sdp })),
+  "call-answer": payload(signal({ sdp })),
+  "call-ice-candidate": payload(
+    signal({
+      candidate: {
+        type: "object",
+        fields: {
+          // empty once the peer has no more candidates
+          candidate: { type: "string", maxLength: 2048 },
+          sdpMid: { type: "string", maxLength: 64 },
+          sdpMLineIndex: { type: "number", integer: true, min: 0 },
+          usernameFragment: { type: "string", maxLength: 256 },
+        },
+        required: true,
+      },
+    })
+  ),
+  "subscribe-to-test": payload(),
+  // legacy test payloads are echoed back as they are
+  "test-message": payload({}, { passthrough: true }),
+};
@@ -0,0 +1,128 @@
+import { AsyncLocalStorage } from "async_hooks";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// entries below this level are dropped
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+
+// LOG_REDACT=false keeps tokens and message content, for local debugging only
+const LOG_REDACT = process.env.LOG_REDACT !== "false";
+
+if (!LEVELS[LOG_LEVEL]) {
+  throw new Error(`Unknown log level: ${LOG_LEVEL}`);
+}
+
+// fields whose values never reach the logs: credentials, message content
+// and call signaling payloads
+const REDACTED_FIELDS = new Set([
+  "token",
+  "accesstoken",
+  "refreshtoken",
+  "authorization",
+  "password",
+  "secret",
+  "cookie",
+  "content",
+  "sdp",
+  "candidate",
+]);
+
+// JWTs and bearer credentials inside free text, e.g. error messages
+const CREDENTIAL_PATTERN = /\beyJ[\w-]*\.[\w-]*\.[\w-]*|\bBearer\s+\S+/g;
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+// socket, user, event and correlation ID of the work being done
+const context = new AsyncLocalStorage();
+
+/**
+ * Runs fn with fields added to every entry it logs, including entries
+ * logged by async work it starts
+ *
+ * @param {Object} fields - e.g. { socketId, userId, event, correlationId }
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * @returns {Object} The fields of the innermost runWithLogContext, or {}
+ */
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+// make a value JSON-safe, expanding errors and redacting secrets
+const prepare = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === "string") {
+    return LOG_REDACT ? value.replace(CREDENTIAL_PATTERN, REDACTED) : value;
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH || seen.has(value)) {
+    return "[Truncated]";
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return prepare(
+      {
+        name: value.name,
+        message: value.message,
+        code: value.code,
+        stack: value.stack,
+      },
+      depth + 1,
+      seen
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => prepare(item, depth + 1, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, fieldValue]) => [
+      key,
+      LOG_REDACT && REDACTED_FIELDS.has(key.toLowerCase())
+        ? REDACTED
+        : prepare(fieldValue, depth + 1, seen),
+    ])
+  );
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const entry = prepare({
+    level,
+    time: new Date().toISOString(),
+    msg: message,
+    ...getLogContext(),
+    ...fields,
+  });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * Writes one JSON line per entry with level, time, msg, the current log
+ * context and the given fields. Tokens, message content and credentials in
+ * text are redacted unless LOG_REDACT=false; errors in fields are expanded
+ * to name, message, code and stack.
+ */
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
@@ -0,0 +1,76 @@
+// "@handle" at the start of the content or after a non-word character,
+// so e-mail addresses are not mistaken for mentions
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]+)/g;
+
+/**
+ * Handles that notify a group instead of one user: "@channel" reaches every
+ * member, "@here" only the members who are online
+ */
+export const GROUP_MENTIONS = ["channel", "here"];
+
+/**
+ * Finds the "@handle" mentions in a message
+ *
+ * @param {string} content - The message text
+ * @returns {Set<string>} Lowercased handles without the "@"
+ */
+export function parseMentions(content = "") {
+  const handles = new Set();
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    // "@bob." at the end of a sentence mentions "bob"
+    const handle = match[2].replace(/[.-]+$/, "").toLowerCase();
+    if (handle) {
+      handles.add(handle);
+    }
+  }
+
+  return handles;
+}
+
+/**
+ * Matches mentioned handles against the members of a channel. A handle
+ * matches a member by user ID or by name, ignoring case; handles that match
+ * nobody are dropped.
+ *
+ * @param {Set<string>} handles - Handles from parseMentions
+ * @param {Array<Object>} members - Channel members as { id, name }
+ * @param {Function} isOnline - userId -> true if the user is connected
+ * @returns {Object} { mentions, recipients } where mentions is the list
+ * saved with the message and recipients maps each notified user ID to the
+ * mention type ("user", "channel" or "here")
+ */
+export function resolveMentions(handles, members, isOnline) {
+  const mentions = [];
+  const recipients = new Map();
+  // a member called "here" cannot be mentioned by name
+  const userHandles = [...handles].filter(
+    (handle) => !GROUP_MENTIONS.includes(handle)
+  );
+
+  if (handles.has("channel")) {
+    mentions.push({ type: "channel" });
+    members.forEach((member) => recipients.set(member.id, "channel"));
+  }
+
+  if (handles.has("here")) {
+    mentions.push({ type: "here" });
+    members
+      .filter((member) => !recipients.has(member.id) && isOnline(member.id))
+      .forEach((member) => recipients.set(member.id, "here"));
+  }
+
+  members
+    .filter(
+      (member) =>
+        userHandles.includes(member.id.toLowerCase()) ||
+        (member.name && userHandles.includes(member.name.toLowerCase()))
+    )
+    .forEach((member) => {
+      mentions.push({ type: "user", userId: member.id, name: member.name });
+      // a direct mention wins over @channel and @here
+      recipients.set(member.id, "user");
+    });
+
+  return { mentions, recipients };
+}
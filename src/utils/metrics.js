@@ -0,0 +1,252 @@
+/**
+ * Histogram buckets in seconds, from a cache hit to a slow backend call
+ */
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+// name -> metric, rendered in registration order
+const registry = new Map();
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return String(value);
+};
+
+// only the declared labels, in declaration order, so equal sets share a key
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(
+    labelNames.map((name) => [
+      name,
+      labels[name] === undefined ? "" : String(labels[name]),
+    ])
+  );
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+};
+
+// a counter or gauge, either updated in place or read on every scrape
+const createSimpleMetric = (type, { name, help, labelNames = [], collect }) => {
+  // label key -> { labels, value }
+  const series = new Map();
+
+  const entry = (labels) => {
+    const picked = pickLabels(labelNames, labels);
+    const key = JSON.stringify(Object.values(picked));
+    if (!series.has(key)) {
+      series.set(key, { labels: picked, value: 0 });
+    }
+    return series.get(key);
+  };
+
+  register({
+    name,
+    help,
+    type,
+    samples() {
+      if (!collect) {
+        return Array.from(series.values());
+      }
+
+      const collected = collect();
+      return typeof collected === "number"
+        ? [{ labels: {}, value: collected }]
+        : collected.map(({ labels, value }) => ({
+            labels: pickLabels(labelNames, labels),
+            value,
+          }));
+    },
+  });
+
+  return { entry };
+};
+
+/**
+ * Registers a counter. Counters either count with inc() or, with collect,
+ * report totals kept elsewhere (e.g. cache stats) on every scrape.
+ *
+ * @param {Object} options - Counter settings
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Description shown by Prometheus
+ * @param {Array<string>} [options.labelNames] - Allowed label names
+ * @param {Function} [options.collect] - () => number or [{ labels, value }]
+ * @returns {Object} Counter with inc(labels, value)
+ */
+export function createCounter(options) {
+  const { entry } = createSimpleMetric("counter", options);
+
+  return {
+    inc(labels = {}, value = 1) {
+      entry(labels).value += value;
+    },
+  };
+}
+
+/**
+ * Registers a gauge, set with set() or read on every scrape with collect
+ *
+ * @param {Object} options - See createCounter
+ * @returns {Object} Gauge with set(labels, value)
+ */
+export function createGauge(options) {
+  const { entry } = createSimpleMetric("gauge", options);
+
+  return {
+    set(labels = {}, value) {
+      entry(labels).value = value;
+    },
+  };
+}
+
+/**
+ * Registers a histogram of durations in seconds
+ *
+ * @param {Object} options - Histogram settings
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Description shown by Prometheus
+ * @param {Array<string>} [options.labelNames] - Allowed label names
+ * @param {Array<number>} [options.buckets] - Upper bounds, ascending
+ * @returns {Object} Histogram with observe(labels, seconds) and
+ * startTimer(labels), whose result records the time passed when called
+ * with the remaining labels
+ */
+export function createHistogram({
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS,
+}) {
+  // label key -> { labels, counts per bucket, sum, count }
+  const series = new Map();
+
+  const observe = (labels, seconds) => {
+    const picked = pickLabels(labelNames, labels);
+    const key = JSON.stringify(Object.values(picked));
+    if (!series.has(key)) {
+      series.set(key, {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+
+    const entry = series.get(key);
+    buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += seconds;
+    entry.count++;
+  };
+
+  register({
+    name,
+    help,
+    type: "histogram",
+    samples() {
+      return Array.from(series.values()).flatMap(
+        ({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, index) => ({
+            suffix: "_bucket",
+            labels: { ...labels, le: bound },
+            value: counts[index],
+          })),
+          {
+            suffix: "_bucket",
+            labels: { ...labels, le: "+Inf" },
+            value: count,
+          },
+          { suffix: "_sum", labels, value: sum },
+          { suffix: "_count", labels, value: count },
+        ]
+      );
+    },
+  });
+
+  return {
+    observe,
+
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+
+      return (moreLabels = {}) =>
+        observe(
+          { ...labels, ...moreLabels },
+          Number(process.hrtime.bigint() - start) / 1e9
+        );
+    },
+  };
+}
+
+/**
+ * Renders every registered metric in the Prometheus text format
+ *
+ * @returns {string} The exposition, one sample per line
+ */
+export function renderMetrics() {
+  const lines = [];
+
+  registry.forEach((metric) => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    metric.samples().forEach(({ suffix = "", labels, value }) => {
+      lines.push(
+        `${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`
+      );
+    });
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+const backendRequestDuration = createHistogram({
+  name: "ws_backend_request_duration_seconds",
+  help: "Duration of requests to the backend and auth service",
+  labelNames: ["service", "operation", "status"],
+});
+
+/**
+ * Times a request to the backend or auth service. The status label is the
+ * HTTP status, or "error" if no response arrived.
+ *
+ * @param {string} service - Calling service module, e.g. "messageService"
+ * @param {string} operation - Calling function, e.g. "createMessage"
+ * @param {Function} request - () => Promise of a fetch response
+ * @returns {Promise<Object>} The response
+ */
+export async function observeBackendCall(service, operation, request) {
+  const end = backendRequestDuration.startTimer({ service, operation });
+
+  try {
+    const response = await request();
+    end({ status: response.status });
+    return response;
+  } catch (error) {
+    end({ status: "error" });
+    throw error;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Roles from most to least privileged. "admin" is a global role from the
+ * token, the others are usually set per channel by the backend.
+ */
+export const ROLES = [
+  "admin",
+  "owner",
+  "moderator",
+  "member",
+  "guest",
+  "read-only",
+];
+
+// everything a user can do in a channel
+const ACTIONS = [
+  "read",
+  "post",
+  "react",
+  "upload",
+  "editOwn",
+  "deleteOwn",
+  "editAny",
+  "deleteAny",
+  "manageMembers",
+];
+
+/**
+ * Actions allowed per role
+ */
+export const ROLE_PERMISSIONS = {
+  admin: ACTIONS,
+  owner: ACTIONS,
+  moderator: ACTIONS,
+  member: ["read", "post", "react", "upload", "editOwn", "deleteOwn"],
+  guest: ["read", "post", "react", "editOwn", "deleteOwn"],
+  "read-only": ["read", "react"],
+};
+
+/**
+ * Action required by each channel event, checked before its handler runs.
+ * Events not listed here (e.g. leave-channel) need no permission.
+ */
+export const EVENT_PERMISSIONS = {
+  "join-channel": "read",
+  "mark-read": "read",
+  "join-thread": "read",
+  "refresh-messages": "read",
+  "load-history": "read",
+  "new-message": "post",
+  typing: "post",
+  "file-upload-complete": "upload",
+  "add-reaction": "react",
+  "remove-reaction": "react",
+  "edit-message": "editOwn",
+  "delete-message": "deleteOwn",
+  "membership-changed": "manageMembers",
+};
+
+/**
+ * Picks the role of a user in a channel: global admins stay admins,
+ * otherwise the channel role wins over roles from the token
+ *
+ * @param {Array<string>} userRoles - Roles from the user's token
+ * @param {string} [channelRole] - Role from the channel membership
+ * @returns {string} One of ROLES, "member" if nothing else applies
+ */
+export function resolveRole(userRoles = [], channelRole) {
+  if (userRoles.includes("admin")) {
+    return "admin";
+  }
+
+  if (ROLES.includes(channelRole)) {
+    return channelRole;
+  }
+
+  return ROLES.find((role) => userRoles.includes(role)) || "member";
+}
+
+/**
+ * @param {string} role - One of ROLES
+ * @param {string} action - One of the actions in ROLE_PERMISSIONS
+ * @returns {boolean} True if the role allows the action
+ */
+export function can(role, action) {
+  return (ROLE_PERMISSIONS[role] || []).includes(action);
+}
+
+/**
+ * Describes what a role may do, for clients to hide unavailable actions
+ *
+ * @param {string} role - One of ROLES
+ * @returns {Object} { role, read, post, ... } with a boolean per action
+ */
+export function describePermissions(role) {
+  return {
+    role,
+    ...Object.fromEntries(ACTIONS.map((action) => [action, can(role, action)])),
+  };
+}
@@ -0,0 +1,165 @@
+import crypto from "crypto";
+import { SocketError, toSocketError } from "./errors.js";
+import { validate } from "./validation.js";
+import { EVENT_SCHEMAS } from "./eventSchemas.js";
+import { createCounter, createHistogram } from "./metrics.js";
+import { logger, runWithLogContext } from "./logger.js";
+
+const eventsReceived = createCounter({
+  name: "ws_events_received_total",
+  help: "Socket events received, per event name",
+  labelNames: ["event"],
+});
+
+const eventDuration = createHistogram({
+  name: "ws_event_duration_seconds",
+  help: "Time to handle a socket event; outcome is ok or the error code",
+  labelNames: ["event", "outcome"],
+});
+
+/**
+ * Wraps a socket event handler with the common request/error contract.
+ *
+ * With a rate limiter, events over the user's limit fail with RATE_LIMITED.
+ * A user blocked for flooding has every socket disconnected, including
+ * sockets that send events while the block lasts. The payload is then
+ * checked against the event's schema in EVENT_SCHEMAS and passed to
+ * authorize, which throws to reject the event or returns extra context.
+ * The handler gets the validated copy and { requestId, emitError } plus
+ * that context. The request ID is taken from payload.requestId or
+ * generated. If the client passed an ack callback it gets
+ * { ok: true, requestId, ...result } with whatever the handler returned,
+ * or { ok: false, error } if the handler threw. Without an ack the error
+ * is emitted as an "error" event instead.
+ *
+ * Errors are sent as { code, type, message, retryable, event, requestId },
+ * see ERROR_CODES. Every event is counted and timed for /metrics, and the
+ * request ID is the correlation ID of everything logged while handling it.
+ *
+ * @param {Object} socket - The Socket.IO socket
+ * @param {string} event - Name of the handled event
+ * @param {string} failureMessage - Message for unexpected errors
+ * @param {Function} handler - async (data, context) => result
+ * @param {Object} [options] - Handler options
+ * @param {Object} [options.rateLimiter] - See createRateLimiter
+ * @param {Function} [options.authorize] - async (event, data) => context
+ * @returns {Function} Listener for socket.on
+ */
+export function handleEvent(
+  socket,
+  event,
+  failureMessage,
+  handler,
+  { rateLimiter, authorize } = {}
+) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    throw new Error(`No payload schema for event: ${event}`);
+  }
+
+  return async (...args) => {
+    eventsReceived.inc({ event });
+    const endTimer = eventDuration.startTimer({ event });
+
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    // events without fields may be sent without a payload
+    const payload = args[0] === undefined ? {} : args[0];
+    const requestId =
+      payload &&
+      typeof payload.requestId === "string" &&
+      payload.requestId &&
+      payload.requestId.length <= 128
+        ? payload.requestId
+        : crypto.randomUUID();
+
+    const toErrorPayload = (error, message = failureMessage) => ({
+      ...toSocketError(error, message).toJSON(),
+      event,
+      requestId,
+    });
+
+    // report a partial failure without failing the whole request
+    const emitError = (error, message) => {
+      if (!(error instanceof SocketError)) {
+        logger.error("Error handling event", { error });
+      }
+      socket.emit("error", toErrorPayload(error, message));
+    };
+
+    // set once the user is blocked, their sockets are dropped after the reply
+    let disconnect = false;
+
+    // entries logged while handling the event, including those of backend
+    // requests, carry the socket, user, event and request ID
+    const logContext = {
+      socketId: socket.id,
+      userId: socket.user.id,
+      event,
+      correlationId: requestId,
+    };
+
+    await runWithLogContext(logContext, async () => {
+      try {
+        if (rateLimiter) {
+          // sockets of a blocked user that were not dropped yet, e.g. on
+          // another instance
+          const blockedMs = rateLimiter.blockedFor(socket.user.id);
+          if (blockedMs > 0) {
+            disconnect = true;
+            throw new SocketError(
+              "RATE_LIMITED",
+              "Too many events, disconnected until the block expires",
+              { retryAfterMs: blockedMs }
+            );
+          }
+
+          const { allowed, retryAfterMs } = rateLimiter.consume(
+            socket.user.id,
+            event
+          );
+
+          if (!allowed) {
+            if (rateLimiter.recordStrike(socket.user.id, event)) {
+              disconnect = true;
+              throw new SocketError(
+                "RATE_LIMITED",
+                "Too many events, disconnected until the block expires",
+                { retryAfterMs: rateLimiter.blockedFor(socket.user.id) }
+              );
+            }
+            throw new SocketError("RATE_LIMITED", `Too many ${event} events`, {
+              retryAfterMs,
+            });
+          }
+        }
+
+        const data = validate(schema, payload);
+        const access = authorize ? await authorize(event, data) : {};
+        const result = await handler(data, { requestId, emitError, ...access });
+
+        endTimer({ outcome: "ok" });
+        if (ack) {
+          ack({ ok: true, requestId, ...result });
+        }
+      } catch (error) {
+        // SocketErrors are expected, only log unexpected failures
+        if (!(error instanceof SocketError)) {
+          logger.error("Error handling event", { error });
+        }
+
+        const errorPayload = toErrorPayload(error);
+        endTimer({ outcome: errorPayload.code });
+
+        if (ack) {
+          ack({ ok: false, error: errorPayload });
+        } else {
+          socket.emit("error", errorPayload);
+        }
+
+        if (disconnect) {
+          socket.nsp.in(`user:${socket.user.id}`).disconnectSockets(true);
+        }
+      }
+    });
+  };
+}
@@ -0,0 +1,123 @@
+import { SocketError } from "./errors.js";
+
+/**
+ * Validates a value against a field descriptor and returns a copy that
+ * only contains the declared fields.
+ *
+ * Descriptors are plain objects:
+ *
+ * - `{ type: "string", maxLength, enum }`
+ * - `{ type: "number", integer, min, max }`
+ * - `{ type: "boolean" }`
+ * - `{ type: "array", items, maxItems }`
+ * - `{ type: "object", fields, passthrough }`, passthrough keeps unknown fields
+ * - `{ type: "record", keys, values, maxKeys }`, an object with arbitrary keys
+ *
+ * plus `required: true`. Empty strings and null count as missing.
+ *
+ * @param {Object} schema - Field descriptor
+ * @param {*} value - Value to check
+ * @param {string} [path] - Name of the value in error messages
+ * @returns {*} The validated value
+ * @throws {SocketError} VALIDATION_ERROR naming the first invalid field
+ */
+export function validate(schema, value, path = "payload") {
+  const fail = (problem) => {
+    throw new SocketError("VALIDATION_ERROR", `${path} ${problem}`);
+  };
+
+  if (value === undefined || value === null || value === "") {
+    if (schema.required) {
+      fail("is required");
+    }
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") {
+        fail("must be a string");
+      }
+      if (schema.maxLength && value.length > schema.maxLength) {
+        fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(", ")}`);
+      }
+      return value;
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        fail("must be a number");
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        fail("must be an integer");
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        fail(`must be at least ${schema.min}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        fail(`must be at most ${schema.max}`);
+      }
+      return value;
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        fail("must be a boolean");
+      }
+      return value;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        fail("must be an array");
+      }
+      if (schema.maxItems && value.length > schema.maxItems) {
+        fail(`must have at most ${schema.maxItems} items`);
+      }
+      return value.map((item, index) =>
+        validate({ ...schema.items, required: true }, item, `${path}[${index}]`)
+      );
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        fail("must be an object");
+      }
+
+      const result = schema.passthrough ? { ...value } : {};
+      for (const [name, field] of Object.entries(schema.fields || {})) {
+        const fieldPath = path === "payload" ? name : `${path}.${name}`;
+        const fieldValue = validate(field, value[name], fieldPath);
+        if (fieldValue !== undefined) {
+          result[name] = fieldValue;
+        }
+      }
+      return result;
+    }
+
+    case "record": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        fail("must be an object");
+      }
+
+      const entries = Object.entries(value);
+      if (schema.maxKeys && entries.length > schema.maxKeys) {
+        fail(`must have at most ${schema.maxKeys} entries`);
+      }
+      return Object.fromEntries(
+        entries.map(([key, entryValue]) => [
+          schema.keys
+            ? validate({ ...schema.keys, required: true }, key, `${path} key`)
+            : key,
+          validate(
+            { ...schema.values, required: true },
+            entryValue,
+            `${path}.${key}`
+          ),
+        ])
+      );
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}